@@ -2,6 +2,11 @@ import multer from "multer";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import {
+  describeImportFormats,
+  getImportExtensions,
+  getImportMimeTypes,
+} from "../services/importFormats.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,40 +30,53 @@ const storage = multer.diskStorage({
   },
 });
 
-// File filter function
+// File filter function: accepts the formats of services/importFormats.js
 const fileFilter = (req, file, cb) => {
-  // Check file type
-  const allowedMimeTypes = [
-    "text/csv",
-    "application/vnd.ms-excel",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-  ];
-
-  const allowedExtensions = [".csv", ".xlsx", ".xls"];
   const fileExtension = path.extname(file.originalname).toLowerCase();
 
   if (
-    allowedMimeTypes.includes(file.mimetype) ||
-    allowedExtensions.includes(fileExtension)
+    getImportMimeTypes().includes(file.mimetype) ||
+    getImportExtensions().includes(fileExtension)
   ) {
     cb(null, true);
   } else {
     const error = new Error(
-      "Invalid file type. Only CSV, XLSX, and XLS files are allowed."
+      `Invalid file type. Allowed formats: ${describeImportFormats()}.`
     );
     error.code = "INVALID_FILE_TYPE";
     cb(error, false);
   }
 };
 
+// Maximum upload size in bytes (MAX_FILE_SIZE, 50MB default); read per
+// request since .env is loaded after this module
+export const getMaxFileSize = () =>
+  parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024;
+
+// Lower limit (MAX_LOADED_FILE_SIZE, 10MB default) for formats parsed in
+// memory as a whole (see loadsWholeFile in services/importFormats.js)
+export const getMaxLoadedFileSize = () =>
+  parseInt(process.env.MAX_LOADED_FILE_SIZE) || 10 * 1024 * 1024;
+
+export const formatFileSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`
+    : `${Math.round(bytes / 1024)}KB`;
+
 // Configure multer
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
-  },
-});
+const createUpload = () =>
+  multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: getMaxFileSize(),
+    },
+  });
+
+const upload = {
+  single: (fieldName) => (req, res, next) =>
+    createUpload().single(fieldName)(req, res, next),
+};
 
 // Error handling middleware for multer
 export const handleMulterError = (err, req, res, next) => {
@@ -67,7 +85,7 @@ export const handleMulterError = (err, req, res, next) => {
       case "LIMIT_FILE_SIZE":
         return res.status(400).json({
           success: false,
-          message: "File too large. Maximum size is 5MB.",
+          message: `File too large. Maximum size is ${formatFileSize(getMaxFileSize())}.`,
         });
       case "LIMIT_FILE_COUNT":
         return res.status(400).json({
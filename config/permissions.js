@@ -0,0 +1,50 @@
+/**
+ * Permission model: every admin-side route requires an action permission,
+ * and roles are just named sets of those actions.
+ */
+export const PERMISSIONS = {
+  AGENTS_READ: "agents:read",
+  AGENTS_WRITE: "agents:write",
+  AGENTS_DELETE: "agents:delete",
+  LISTS_READ: "lists:read",
+  LISTS_UPLOAD: "lists:upload",
+  LISTS_UPDATE: "lists:update",
+  LISTS_REASSIGN: "lists:reassign",
+  LISTS_DELETE: "lists:delete",
+  USERS_READ: "users:read",
+  USERS_WRITE: "users:write",
+  SECURITY_READ: "security:read",
+  SECURITY_MANAGE: "security:manage",
+  SETTINGS_MANAGE: "settings:manage",
+  API_KEYS_MANAGE: "api-keys:manage",
+  AUDIT_READ: "audit:read",
+  ORGANIZATION_MANAGE: "organization:manage",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  supervisor: [
+    PERMISSIONS.AGENTS_READ,
+    PERMISSIONS.LISTS_READ,
+    PERMISSIONS.LISTS_UPDATE,
+    PERMISSIONS.LISTS_REASSIGN,
+  ],
+  viewer: [PERMISSIONS.AGENTS_READ, PERMISSIONS.LISTS_READ],
+  // Legacy role from before the permission model; grants nothing
+  user: [],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Get the permissions granted to a role
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission
+ */
+export const roleHasPermission = (role, permission) =>
+  getRolePermissions(role).includes(permission);
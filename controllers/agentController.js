@@ -1,5 +1,19 @@
 import Agent from "../models/agent.js";
 import mongoose from "mongoose";
+import { revokeAllSessions } from "../middleware/auth.js";
+import { sendPasswordResetEmail } from "../services/passwordReset.js";
+import { recordAudit, snapshot } from "../services/audit.js";
+import { escapeRegExp } from "../utils/regex.js";
+
+// Agent fields captured in audit entries
+const AUDIT_FIELDS = [
+  "name",
+  "email",
+  "mobile",
+  "isActive",
+  "distributionWeight",
+  "maxOpenItems",
+];
 
 /**
  * Get all agents
@@ -9,13 +23,14 @@ export const getAgents = async (req, res) => {
     const { page = 1, limit = 10, search, isActive } = req.query;
 
     // Build query
-    let query = {};
+    let query = { organization: req.organizationId };
 
     if (search) {
+      const pattern = escapeRegExp(search);
       query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-        { mobile: { $regex: search, $options: "i" } },
+        { name: { $regex: pattern, $options: "i" } },
+        { email: { $regex: pattern, $options: "i" } },
+        { mobile: { $regex: pattern, $options: "i" } },
       ];
     }
 
@@ -76,7 +91,10 @@ export const getAgent = async (req, res) => {
       });
     }
 
-    const agent = await Agent.findById(id)
+    const agent = await Agent.findOne({
+      _id: id,
+      organization: req.organizationId,
+    })
       .select("-password")
       .populate("createdBy", "email");
 
@@ -105,7 +123,8 @@ export const getAgent = async (req, res) => {
  */
 export const createAgent = async (req, res) => {
   try {
-    const { name, email, mobile, password } = req.body;
+    const { name, email, mobile, password, distributionWeight, maxOpenItems } =
+      req.body;
 
     // Validate required fields
     if (!name || !email || !mobile || !password) {
@@ -133,8 +152,11 @@ export const createAgent = async (req, res) => {
       });
     }
 
-    // Check for existing agent with same mobile
-    const existingMobile = await Agent.findOne({ mobile });
+    // Check for existing agent with same mobile in this organization
+    const existingMobile = await Agent.findOne({
+      organization: req.organizationId,
+      mobile,
+    });
     if (existingMobile) {
       return res.status(400).json({
         success: false,
@@ -144,16 +166,27 @@ export const createAgent = async (req, res) => {
 
     // Create new agent
     const agentData = {
+      organization: req.organizationId,
       name: name.trim(),
       email: email.toLowerCase().trim(),
       mobile: mobile.trim(),
       password,
+      distributionWeight,
+      maxOpenItems,
       createdBy: req.user._id,
+      createdViaApiKey: req.apiKey?._id,
     };
 
     const agent = new Agent(agentData);
     await agent.save();
 
+    await recordAudit(req, {
+      action: "agent.create",
+      targetType: "agent",
+      targetId: agent._id,
+      after: snapshot(agent, AUDIT_FIELDS),
+    });
+
     res.status(201).json({
       success: true,
       message: "Agent created successfully",
@@ -164,6 +197,8 @@ export const createAgent = async (req, res) => {
           email: agent.email,
           mobile: agent.mobile,
           isActive: agent.isActive,
+          distributionWeight: agent.distributionWeight,
+          maxOpenItems: agent.maxOpenItems,
           createdAt: agent.createdAt,
         },
       },
@@ -193,7 +228,8 @@ export const createAgent = async (req, res) => {
 export const updateAgent = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, mobile, isActive } = req.body;
+    const { name, email, mobile, isActive, distributionWeight, maxOpenItems } =
+      req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -202,7 +238,10 @@ export const updateAgent = async (req, res) => {
       });
     }
 
-    const agent = await Agent.findById(id);
+    const agent = await Agent.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
     if (!agent) {
       return res.status(404).json({
         success: false,
@@ -210,6 +249,8 @@ export const updateAgent = async (req, res) => {
       });
     }
 
+    const before = snapshot(agent, AUDIT_FIELDS);
+
     // Update fields if provided
     if (name !== undefined) agent.name = name.trim();
     if (email !== undefined) {
@@ -236,6 +277,7 @@ export const updateAgent = async (req, res) => {
       }
 
       const existingMobile = await Agent.findOne({
+        organization: req.organizationId,
         mobile: mobile.trim(),
         _id: { $ne: id },
       });
@@ -248,9 +290,22 @@ export const updateAgent = async (req, res) => {
       agent.mobile = mobile.trim();
     }
     if (isActive !== undefined) agent.isActive = isActive;
+    if (distributionWeight !== undefined) {
+      agent.distributionWeight = distributionWeight;
+    }
+    // null removes the limit
+    if (maxOpenItems !== undefined) agent.maxOpenItems = maxOpenItems;
 
     await agent.save();
 
+    await recordAudit(req, {
+      action: "agent.update",
+      targetType: "agent",
+      targetId: agent._id,
+      before,
+      after: snapshot(agent, AUDIT_FIELDS),
+    });
+
     res.json({
       success: true,
       message: "Agent updated successfully",
@@ -261,6 +316,8 @@ export const updateAgent = async (req, res) => {
           email: agent.email,
           mobile: agent.mobile,
           isActive: agent.isActive,
+          distributionWeight: agent.distributionWeight,
+          maxOpenItems: agent.maxOpenItems,
           assignedListsCount: agent.assignedListsCount,
           totalItemsAssigned: agent.totalItemsAssigned,
         },
@@ -285,6 +342,81 @@ export const updateAgent = async (req, res) => {
   }
 };
 
+/**
+ * Reset an agent's password (set directly, or email a reset link)
+ */
+export const resetAgentPassword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid agent ID",
+      });
+    }
+
+    const agent = await Agent.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: "Agent not found",
+      });
+    }
+
+    if (!password) {
+      await sendPasswordResetEmail("agent", agent);
+
+      await recordAudit(req, {
+        action: "agent.password_reset",
+        targetType: "agent",
+        targetId: agent._id,
+        metadata: { method: "email" },
+      });
+
+      return res.json({
+        success: true,
+        message: "Password reset link sent to agent",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    agent.password = password;
+    await agent.save();
+
+    // Force the agent to log in again with the new password
+    await revokeAllSessions("agent", agent._id);
+
+    await recordAudit(req, {
+      action: "agent.password_reset",
+      targetType: "agent",
+      targetId: agent._id,
+      metadata: { method: "direct" },
+    });
+
+    res.json({
+      success: true,
+      message: "Agent password reset successfully",
+    });
+  } catch (error) {
+    console.error("Reset agent password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset agent password",
+    });
+  }
+};
+
 /**
  * Delete agent
  */
@@ -299,7 +431,10 @@ export const deleteAgent = async (req, res) => {
       });
     }
 
-    const agent = await Agent.findById(id);
+    const agent = await Agent.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
     if (!agent) {
       return res.status(404).json({
         success: false,
@@ -318,6 +453,13 @@ export const deleteAgent = async (req, res) => {
 
     await Agent.findByIdAndDelete(id);
 
+    await recordAudit(req, {
+      action: "agent.delete",
+      targetType: "agent",
+      targetId: agent._id,
+      before: snapshot(agent, AUDIT_FIELDS),
+    });
+
     res.json({
       success: true,
       message: "Agent deleted successfully",
@@ -336,7 +478,7 @@ export const deleteAgent = async (req, res) => {
  */
 export const getAgentStats = async (req, res) => {
   try {
-    const stats = await Agent.getAgentStats();
+    const stats = await Agent.getAgentStats(req.organizationId);
 
     res.json({
       success: true,
@@ -0,0 +1,183 @@
+import ApiKey from "../models/apiKey.js";
+import mongoose from "mongoose";
+import { PERMISSIONS } from "../config/permissions.js";
+import { recordAudit } from "../services/audit.js";
+
+// Keys must not be able to mint more keys
+const ASSIGNABLE_SCOPES = Object.values(PERMISSIONS).filter(
+  (permission) => permission !== PERMISSIONS.API_KEYS_MANAGE
+);
+
+/**
+ * Get all API keys
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+
+    const query = { organization: req.organizationId };
+    if (includeRevoked !== "true") query.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(query)
+      .sort({ createdAt: -1 })
+      .populate("createdBy", "email")
+      .populate("revokedBy", "email");
+
+    res.json({
+      success: true,
+      data: { apiKeys },
+    });
+  } catch (error) {
+    console.error("Get API keys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch API keys",
+    });
+  }
+};
+
+/**
+ * Create an API key (the key itself is only returned in this response)
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Name and at least one scope are required",
+      });
+    }
+
+    const invalidScopes = scopes.filter(
+      (scope) => !ASSIGNABLE_SCOPES.includes(scope)
+    );
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(", ")}`,
+      });
+    }
+
+    // Nobody can hand a key more than they have themselves
+    const ungrantedScopes = scopes.filter(
+      (scope) => !req.user.hasPermission(scope)
+    );
+    if (ungrantedScopes.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scopes you don't have: ${ungrantedScopes.join(", ")}`,
+      });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1) {
+        return res.status(400).json({
+          success: false,
+          message: "expiresInDays must be a positive number",
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { key, apiKey } = await ApiKey.generate({
+      organization: req.organizationId,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "api_key.create",
+      targetType: "api_key",
+      targetId: apiKey._id,
+      after: {
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now; it won't be shown again.",
+      data: { key, apiKey },
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create API key",
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid API key ID",
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "API key is already revoked",
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: "api_key.revoke",
+      targetType: "api_key",
+      targetId: apiKey._id,
+      metadata: { name: apiKey.name },
+    });
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke API key",
+    });
+  }
+};
@@ -0,0 +1,194 @@
+import AuditLog from "../models/auditLog.js";
+import mongoose from "mongoose";
+import Papa from "papaparse";
+import { drained } from "../utils/streams.js";
+import { CSV_FORMULA_PATTERN } from "../utils/csv.js";
+import { escapeRegExp } from "../utils/regex.js";
+
+// Query parameters used as filters; each must be a single string
+const FILTER_PARAMS = [
+  "actorType",
+  "actorId",
+  "action",
+  "targetType",
+  "targetId",
+  "apiKey",
+  "from",
+  "to",
+];
+
+/**
+ * Build an organization's audit query from request filters; returns null
+ * if invalid
+ */
+const buildAuditQuery = (organization, filters) => {
+  // Repeated parameters (?action=a&action=b) arrive as arrays
+  if (
+    FILTER_PARAMS.some(
+      (param) =>
+        filters[param] !== undefined && typeof filters[param] !== "string"
+    )
+  ) {
+    return null;
+  }
+
+  const { actorType, actorId, action, targetType, targetId, apiKey, from, to } =
+    filters;
+  const query = { organization };
+
+  if (actorType) query.actorType = actorType;
+  if (actorId) {
+    if (!mongoose.Types.ObjectId.isValid(actorId)) return null;
+    query.actorId = actorId;
+  }
+  if (apiKey) {
+    if (!mongoose.Types.ObjectId.isValid(apiKey)) return null;
+    query.apiKey = apiKey;
+  }
+  // "agent." matches every agent action
+  if (action) {
+    query.action = action.endsWith(".")
+      ? { $regex: `^${escapeRegExp(action)}` }
+      : action;
+  }
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+    if (Object.values(query.createdAt).some((date) => isNaN(date))) {
+      return null;
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Get audit log entries with filters and pagination
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = buildAuditQuery(req.organizationId, req.query);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid filter value",
+      });
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, totalCount] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate("apiKey", "name prefix"),
+      AuditLog.countDocuments(query),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch audit logs",
+    });
+  }
+};
+
+/**
+ * Export audit log entries matching the filters as CSV (streamed)
+ */
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const query = buildAuditQuery(req.organizationId, req.query);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid filter value",
+      });
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-log-${Date.now()}.csv"`
+    );
+
+    const columns = [
+      "timestamp",
+      "actorType",
+      "actorId",
+      "actorEmail",
+      "apiKey",
+      "action",
+      "targetType",
+      "targetId",
+      "diff",
+      "metadata",
+      "ip",
+    ];
+    res.write(Papa.unparse([columns]) + "\r\n");
+
+    const cursor = AuditLog.find(query).sort({ createdAt: -1 }).lean().cursor();
+
+    for await (const entry of cursor) {
+      const row = [
+        entry.createdAt.toISOString(),
+        entry.actorType,
+        entry.actorId ? String(entry.actorId) : "",
+        entry.actorEmail || "",
+        entry.apiKey ? String(entry.apiKey) : "",
+        entry.action,
+        entry.targetType,
+        entry.targetId || "",
+        entry.diff?.length ? JSON.stringify(entry.diff) : "",
+        entry.metadata ? JSON.stringify(entry.metadata) : "",
+        entry.ip || "",
+      ];
+
+      // Respect backpressure so large exports don't pile up in memory
+      const line = Papa.unparse([row], { escapeFormulae: CSV_FORMULA_PATTERN });
+      if (!res.write(line + "\r\n")) {
+        await drained(res);
+        // The client went away
+        if (res.destroyed) break;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("Export audit logs error:", error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to export audit logs",
+    });
+  }
+};
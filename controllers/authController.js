@@ -1,5 +1,91 @@
 import User from "../models/user.js";
-import { generateToken } from "../middleware/auth.js";
+import Agent from "../models/agent.js";
+import RefreshToken from "../models/refreshToken.js";
+import RevokedToken from "../models/revokedToken.js";
+import PasswordResetToken from "../models/passwordResetToken.js";
+import SecurityEvent from "../models/securityEvent.js";
+import Setting from "../models/setting.js";
+import Organization from "../models/organization.js";
+import {
+  hasActiveOrganization,
+  createSession,
+  revokeAllSessions,
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from "../middleware/auth.js";
+import { sendPasswordResetEmail } from "../services/passwordReset.js";
+import { ROLE_PERMISSIONS } from "../config/permissions.js";
+
+/**
+ * Resolve the authenticated account (admin user or agent) of a request
+ */
+const getSessionSubject = (req) =>
+  req.agent
+    ? { subjectType: "agent", account: req.agent }
+    : { subjectType: "user", account: req.user };
+
+/**
+ * Build the response for a login attempt on a locked account
+ */
+const sendLockedResponse = (res, account) => {
+  const minutes = Math.ceil((account.lockUntil - Date.now()) / 60000);
+  return res.status(423).json({
+    success: false,
+    message: `Account is temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s).`,
+    data: { lockUntil: account.lockUntil },
+  });
+};
+
+/**
+ * Record a failed password check and log a security event if it locked
+ * the account
+ */
+const handleFailedLogin = async (req, subjectType, account) => {
+  const locked = await account.registerFailedLogin();
+
+  if (locked) {
+    await SecurityEvent.create({
+      organization: account.organization,
+      type: "account_locked",
+      subjectType,
+      subjectId: account._id,
+      email: account.email,
+      ip: req.ip,
+      lockUntil: account.lockUntil,
+    });
+  }
+
+  return locked;
+};
+
+/**
+ * Issue a full session for an admin user and send the login response
+ */
+const sendLoginSuccess = async (req, res, user, extraData = {}) => {
+  // Generate access and refresh tokens
+  const session = await createSession("user", user._id, req);
+
+  // Update last login
+  await user.updateLastLogin();
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        organization: user.organization,
+        permissions: user.getPermissions(),
+        lastLogin: user.lastLogin,
+      },
+      ...session,
+      ...extraData,
+    },
+  });
+};
 
 /**
  * Admin login controller
@@ -33,36 +119,220 @@ export const login = async (req, res) => {
       });
     }
 
+    if (!(await hasActiveOrganization(user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Organization is deactivated",
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      if (await handleFailedLogin(req, "user", user)) {
+        return sendLockedResponse(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Second step required: hand out a challenge instead of a session
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor code required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id),
+        },
+      });
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockoutCount > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    // Admins must enroll first when the organization requires 2FA
+    const settings = await Setting.getSettings(user.organization);
+    if (user.role === "admin" && settings.requireAdminTwoFactor) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication setup required",
+        data: {
+          twoFactorSetupRequired: true,
+          token: generateToken(user._id, { twoFactorEnrollment: true }),
+        },
+      });
+    }
+
+    await sendLoginSuccess(req, res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Login failed. Please try again.",
+    });
+  }
+};
+
+/**
+ * Second login step for admins with 2FA enabled
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and a code or recovery code are required",
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired",
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired",
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    const isCodeValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!isCodeValid) {
+      if (await handleFailedLogin(req, "user", user)) {
+        return sendLockedResponse(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+
+    await sendLoginSuccess(req, res, user, {
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Login failed. Please try again.",
+    });
+  }
+};
+
+/**
+ * Agent login controller
+ */
+export const agentLogin = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate input
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and password are required",
+      });
+    }
+
+    // Find agent by email
+    const agent = await Agent.findByEmail(email);
+    if (!agent) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Check if account is active
+    if (!agent.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Account is deactivated",
+      });
+    }
+
+    if (!(await hasActiveOrganization(agent))) {
+      return res.status(403).json({
+        success: false,
+        message: "Organization is deactivated",
+      });
+    }
+
+    if (agent.isLocked()) {
+      return sendLockedResponse(res, agent);
+    }
+
+    // Verify password
+    const isPasswordValid = await agent.comparePassword(password);
+    if (!isPasswordValid) {
+      if (await handleFailedLogin(req, "agent", agent)) {
+        return sendLockedResponse(res, agent);
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    if (agent.failedLoginAttempts > 0 || agent.lockoutCount > 0) {
+      await agent.resetLoginAttempts();
+    }
+
+    // Generate agent-scoped access and refresh tokens
+    const session = await createSession("agent", agent._id, req);
 
     // Update last login
-    await user.updateLastLogin();
+    await agent.updateLastLogin();
 
     res.json({
       success: true,
       message: "Login successful",
       data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          role: user.role,
-          lastLogin: user.lastLogin,
+        agent: {
+          id: agent._id,
+          name: agent.name,
+          email: agent.email,
+          mobile: agent.mobile,
+          organization: agent.organization,
+          lastLogin: agent.lastLogin,
         },
-        token,
+        ...session,
       },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Agent login error:", error);
     res.status(500).json({
       success: false,
       message: "Login failed. Please try again.",
@@ -91,6 +361,10 @@ export const getProfile = async (req, res) => {
           id: user._id,
           email: user.email,
           role: user.role,
+          organization: user.organization,
+          isPlatformAdmin: user.isPlatformAdmin,
+          permissions: user.getPermissions(),
+          twoFactorEnabled: user.twoFactor.enabled,
           isActive: user.isActive,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt,
@@ -107,12 +381,82 @@ export const getProfile = async (req, res) => {
 };
 
 /**
- * Logout controller (client-side token removal)
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const { subjectType, subjectId, family } =
+      await RefreshToken.consume(refreshToken);
+
+    // The account may have been deactivated since the last refresh
+    const Model = subjectType === "agent" ? Agent : User;
+    const account = await Model.findById(subjectId);
+    if (!account || !account.isActive) {
+      await RefreshToken.revokeFamily(family);
+      return res.status(401).json({
+        success: false,
+        message: "Account is deactivated",
+      });
+    }
+
+    if (!(await hasActiveOrganization(account))) {
+      await RefreshToken.revokeFamily(family);
+      return res.status(403).json({
+        success: false,
+        message: "Organization is deactivated",
+      });
+    }
+
+    const session = await createSession(subjectType, subjectId, req, family);
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: session,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to refresh token",
+    });
+  }
+};
+
+/**
+ * Logout controller (revokes the current access token and refresh token)
  */
 export const logout = async (req, res) => {
   try {
-    // In a JWT-based system, logout is typically handled client-side
-    // by removing the token from storage
+    const { refreshToken } = req.body || {};
+    const { subjectType, account } = getSessionSubject(req);
+
+    await RevokedToken.revoke(req.tokenPayload, subjectType, account._id);
+
+    if (refreshToken) {
+      await RefreshToken.revokeToken(refreshToken, {
+        subjectType,
+        subjectId: account._id,
+      });
+    }
+
     res.json({
       success: true,
       message: "Logout successful",
@@ -126,6 +470,192 @@ export const logout = async (req, res) => {
   }
 };
 
+/**
+ * Logout from all sessions (every access and refresh token of the account)
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    const { subjectType, account } = getSessionSubject(req);
+
+    await revokeAllSessions(subjectType, account._id);
+
+    res.json({
+      success: true,
+      message: "Logged out from all sessions",
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+    });
+  }
+};
+
+/**
+ * Change password of the logged-in admin or agent
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password and new password are required",
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const { subjectType, account } = getSessionSubject(req);
+    const Model = subjectType === "agent" ? Agent : User;
+
+    // req.user/req.agent are loaded without the password hash
+    const accountWithPassword = await Model.findById(account._id);
+    const isPasswordValid =
+      await accountWithPassword.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    accountWithPassword.password = newPassword;
+    await accountWithPassword.save();
+
+    // Sign out everywhere else, then keep this client logged in
+    await revokeAllSessions(subjectType, account._id);
+    const session = await createSession(subjectType, account._id, req);
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: session,
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to change password",
+    });
+  }
+};
+
+/**
+ * Request a password reset link by email (admins and agents)
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email, accountType = "user" } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    if (!["user", "agent"].includes(accountType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Account type must be one of: user, agent",
+      });
+    }
+
+    const Model = accountType === "agent" ? Agent : User;
+    const account = await Model.findByEmail(email);
+
+    if (account && account.isActive) {
+      await sendPasswordResetEmail(accountType, account);
+    }
+
+    // Same response either way so emails can't be enumerated
+    res.json({
+      success: true,
+      message: "If the account exists, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request password reset",
+    });
+  }
+};
+
+/**
+ * Reset password using a single-use reset token
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and password are required",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const resetToken = await PasswordResetToken.consume(token);
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      });
+    }
+
+    const Model = resetToken.subjectType === "agent" ? Agent : User;
+    const account = await Model.findById(resetToken.subjectId);
+    if (!account || !account.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      });
+    }
+
+    account.password = password;
+    await account.save();
+
+    await revokeAllSessions(resetToken.subjectType, account._id);
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset password",
+    });
+  }
+};
+
 /**
  * Verify token controller
  */
@@ -140,6 +670,8 @@ export const verifyToken = async (req, res) => {
           id: req.user._id,
           email: req.user.email,
           role: req.user.role,
+          organization: req.user.organization,
+          permissions: req.user.getPermissions(),
         },
       },
     });
@@ -153,11 +685,38 @@ export const verifyToken = async (req, res) => {
 };
 
 /**
- * Create initial admin user (for setup)
+ * Get available roles and the permissions they grant
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = Object.entries(ROLE_PERMISSIONS).map(
+      ([role, permissions]) => ({ role, permissions })
+    );
+
+    res.json({
+      success: true,
+      data: { roles },
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch roles",
+    });
+  }
+};
+
+/**
+ * Create initial admin user (for setup), together with the first
+ * organization. The bootstrap admin becomes the platform admin.
  */
 export const createAdmin = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const {
+      email,
+      password,
+      organizationName = "Default Organization",
+    } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -175,8 +734,21 @@ export const createAdmin = async (req, res) => {
       });
     }
 
-    // Create admin user
-    const admin = await User.createAdmin(email, password);
+    // Create the first organization and its admin user
+    const organization = await Organization.createWithName(organizationName);
+    let admin;
+    try {
+      admin = await User.createAdmin(email, password, {
+        organization: organization._id,
+        isPlatformAdmin: true,
+      });
+    } catch (error) {
+      await Organization.deleteOne({ _id: organization._id });
+      throw error;
+    }
+
+    organization.createdBy = admin._id;
+    await organization.save();
 
     res.status(201).json({
       success: true,
@@ -186,7 +758,9 @@ export const createAdmin = async (req, res) => {
           id: admin._id,
           email: admin.email,
           role: admin.role,
+          isPlatformAdmin: admin.isPlatformAdmin,
         },
+        organization,
       },
     });
   } catch (error) {
@@ -199,6 +773,15 @@ export const createAdmin = async (req, res) => {
       });
     }
 
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to create admin user",
@@ -0,0 +1,271 @@
+import CustomField, { CUSTOM_FIELD_TYPES } from "../models/customField.js";
+import mongoose from "mongoose";
+import { IMPORT_FIELDS } from "../services/listImport.js";
+import { recordAudit, snapshot } from "../services/audit.js";
+
+// Custom field fields captured in audit entries
+const AUDIT_FIELDS = ["key", "label", "type", "options", "required"];
+
+/**
+ * Check enum options: a non-empty array of distinct strings
+ */
+const isValidOptions = (options) =>
+  Array.isArray(options) &&
+  options.length > 0 &&
+  options.every((option) => typeof option === "string" && option.trim()) &&
+  new Set(options.map((option) => option.trim().toLowerCase())).size ===
+    options.length;
+
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map((err) => err.message);
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors,
+  });
+};
+
+/**
+ * Get the organization's custom fields, in definition order
+ */
+export const getCustomFields = async (req, res) => {
+  try {
+    const fields = await CustomField.findForOrganization(req.organizationId);
+
+    res.json({
+      success: true,
+      data: { fields, types: CUSTOM_FIELD_TYPES },
+    });
+  } catch (error) {
+    console.error("Get custom fields error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch custom fields",
+    });
+  }
+};
+
+/**
+ * Define a custom field
+ */
+export const createCustomField = async (req, res) => {
+  try {
+    const { key, label, type, options, required } = req.body;
+
+    if (!key || !label || !type) {
+      return res.status(400).json({
+        success: false,
+        message: "Key, label and type are required",
+      });
+    }
+
+    if (typeof key !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Key must be a string",
+      });
+    }
+
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Invalid type. Must be one of: " + CUSTOM_FIELD_TYPES.join(", "),
+      });
+    }
+
+    if (IMPORT_FIELDS[key.trim()]) {
+      return res.status(400).json({
+        success: false,
+        message: `"${key}" is a built-in field`,
+      });
+    }
+
+    if (type === "enum" && !isValidOptions(options)) {
+      return res.status(400).json({
+        success: false,
+        message: "Enum fields need a list of distinct options",
+      });
+    }
+
+    const existing = await CustomField.exists({
+      organization: req.organizationId,
+      key: key.trim(),
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "A custom field with this key already exists",
+      });
+    }
+
+    const field = await CustomField.create({
+      organization: req.organizationId,
+      key,
+      label,
+      type,
+      options: type === "enum" ? options : undefined,
+      required: required === true || required === "true",
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "custom_field.create",
+      targetType: "custom_field",
+      targetId: field._id,
+      after: snapshot(field.toObject(), AUDIT_FIELDS),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Custom field created successfully",
+      data: { field },
+    });
+  } catch (error) {
+    console.error("Create custom field error:", error);
+
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create custom field",
+    });
+  }
+};
+
+/**
+ * Update a custom field's label, options or required flag (the key and
+ * type are fixed, as items already store values under them)
+ */
+export const updateCustomField = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { key, type, label, options, required } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid custom field ID",
+      });
+    }
+
+    const field = await CustomField.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom field not found",
+      });
+    }
+
+    if (
+      (key !== undefined && key !== field.key) ||
+      (type !== undefined && type !== field.type)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "The key and type of a custom field cannot be changed",
+      });
+    }
+
+    if (options !== undefined) {
+      if (field.type !== "enum") {
+        return res.status(400).json({
+          success: false,
+          message: "Only enum fields have options",
+        });
+      }
+      if (!isValidOptions(options)) {
+        return res.status(400).json({
+          success: false,
+          message: "Enum fields need a list of distinct options",
+        });
+      }
+    }
+
+    const before = snapshot(field.toObject(), AUDIT_FIELDS);
+
+    if (label !== undefined) field.label = label;
+    if (options !== undefined) field.options = options;
+    if (required !== undefined) {
+      field.required = required === true || required === "true";
+    }
+
+    await field.save();
+
+    await recordAudit(req, {
+      action: "custom_field.update",
+      targetType: "custom_field",
+      targetId: field._id,
+      before,
+      after: snapshot(field.toObject(), AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "Custom field updated successfully",
+      data: { field },
+    });
+  } catch (error) {
+    console.error("Update custom field error:", error);
+
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update custom field",
+    });
+  }
+};
+
+/**
+ * Delete a custom field. Values already stored on items are kept but no
+ * longer returned by filters or exports.
+ */
+export const deleteCustomField = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid custom field ID",
+      });
+    }
+
+    const field = await CustomField.findOneAndDelete({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom field not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "custom_field.delete",
+      targetType: "custom_field",
+      targetId: field._id,
+      before: snapshot(field.toObject(), AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "Custom field deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete custom field error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete custom field",
+    });
+  }
+};
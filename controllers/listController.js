@@ -1,13 +1,106 @@
-import List from "../models/list.js";
+import List, {
+  ITEM_STATUSES,
+  ITEM_STATUS_TRANSITIONS,
+} from "../models/list.js";
 import Agent from "../models/agent.js";
+import UnassignedItem from "../models/unassignedItem.js";
+import UploadPreview from "../models/uploadPreview.js";
+import MappingPreset from "../models/mappingPreset.js";
+import RejectedRow from "../models/rejectedRow.js";
+import ImportJob from "../models/importJob.js";
+import mongoose from "mongoose";
 import Papa from "papaparse";
-import XLSX from "xlsx";
 import fs from "fs";
 import path from "path";
 import { v4 as uuidv4 } from "uuid";
+import { formatFileSize, getMaxLoadedFileSize } from "../config/multer.js";
+import { getActor, recordAudit, snapshot } from "../services/audit.js";
+import {
+  DEFAULT_DISTRIBUTION_STRATEGY,
+  getDistributionStrategies,
+} from "../services/distribution.js";
+import {
+  DEFAULT_DUPLICATE_POLICY,
+  DUPLICATE_POLICIES,
+} from "../services/duplicates.js";
+import { getImportFormat } from "../services/importFormats.js";
+import { discardStagedUpload } from "../services/importPipeline.js";
+import { EXPORT_FORMATS, streamListExport } from "../services/listExport.js";
+import { findCallbacks, parseCallbackQuery } from "../services/callbacks.js";
+import { updateItemStatusesInBulk } from "../services/bulkStatus.js";
+import {
+  loadCustomFieldFilter,
+  matchesCustomFieldFilter,
+} from "../services/customFields.js";
+import { findPlannedAgents } from "../services/uploadJobs.js";
+import { cancelJob, enqueueJob, retryJob } from "../services/jobQueue.js";
+import {
+  findTargetAgent,
+  moveItems,
+  moveList,
+  rebalanceUpload as rebalanceUploadItems,
+} from "../services/reassignment.js";
+import { createHttpError } from "../utils/httpError.js";
+import { drained } from "../utils/streams.js";
 
 /**
- * Upload and distribute CSV/Excel file
+ * Collect the column mapping requested for an upload: a saved preset
+ * (mappingPreset) overridden by an explicit JSON columnMapping
+ */
+const getRequestedMapping = async (req) => {
+  const { mappingPreset, columnMapping } = req.body || {};
+  let requested = {};
+
+  if (mappingPreset) {
+    const preset = await MappingPreset.findOne({
+      organization: req.organizationId,
+      name: mappingPreset,
+    });
+    if (!preset) {
+      throw createHttpError(`Mapping preset "${mappingPreset}" not found`, 400);
+    }
+    requested = { ...preset.toObject().mapping };
+  }
+
+  if (columnMapping) {
+    let parsed = columnMapping;
+    if (typeof parsed === "string") {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        parsed = null;
+      }
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw createHttpError(
+        'columnMapping must be a JSON object, e.g. {"phone": "Mobile No."}',
+        400
+      );
+    }
+    requested = { ...requested, ...parsed };
+  }
+
+  return requested;
+};
+
+/**
+ * Describe who queued a job, for its audit entries
+ */
+const getJobCreator = (req) => ({
+  createdBy: req.user._id,
+  createdByEmail: req.user.email,
+  createdViaApiKey: req.apiKey?._id,
+  ip: req.ip,
+  userAgent: req.headers["user-agent"],
+});
+
+/**
+ * Queue an uploaded CSV/Excel file for distribution (see
+ * services/uploadJobs.js); with preview=true nothing is saved to lists and
+ * the returned confirm token commits the exact split once the job is done.
+ * Invalid rows fail the upload unless partial=true, which imports the valid
+ * rows and keeps the others for download. Rows repeating a phone number of
+ * the file or of an existing list are handled per duplicatePolicy.
  */
 export const uploadAndDistribute = async (req, res) => {
   try {
@@ -19,162 +112,103 @@ export const uploadAndDistribute = async (req, res) => {
     }
 
     const file = req.file;
-    const filePath = file.path;
-    const fileExtension = path.extname(file.originalname).toLowerCase();
-
-    let data = [];
-
-    try {
-      // Parse file based on extension
-      if (fileExtension === ".csv") {
-        const fileContent = fs.readFileSync(filePath, "utf8");
-        const parseResult = Papa.parse(fileContent, {
-          header: true,
-          skipEmptyLines: true,
-          transformHeader: (header) => header.trim().toLowerCase(),
-        });
-
-        if (parseResult.errors.length > 0) {
-          throw new Error(
-            "CSV parsing failed: " + parseResult.errors[0].message
-          );
-        }
-
-        data = parseResult.data;
-      } else if (fileExtension === ".xlsx" || fileExtension === ".xls") {
-        const workbook = XLSX.readFile(filePath);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-        if (jsonData.length < 2) {
-          throw new Error(
-            "Excel file must contain at least header and one data row"
-          );
-        }
-
-        // Convert to objects with lowercase headers
-        const headers = jsonData[0].map((h) => String(h).trim().toLowerCase());
-        data = jsonData
-          .slice(1)
-          .map((row) => {
-            const obj = {};
-            headers.forEach((header, index) => {
-              obj[header] = row[index] || "";
-            });
-            return obj;
-          })
-          .filter((row) =>
-            Object.values(row).some((val) => val.toString().trim())
-          );
-      }
-
-      // Validate data format
-      const requiredFields = ["firstname", "phone", "notes"];
-      const missingFields = requiredFields.filter((field) => {
-        return !data[0] || !data[0].hasOwnProperty(field);
-      });
-
-      if (missingFields.length > 0) {
-        throw new Error(
-          `Missing required columns: ${missingFields.join(
-            ", "
-          )}. Expected: FirstName, Phone, Notes`
-        );
-      }
+    const strategy = req.body?.strategy || DEFAULT_DISTRIBUTION_STRATEGY;
+    const isPreview = [req.body?.preview, req.query.preview].includes("true");
+    const isPartial = [req.body?.partial, req.query.partial].includes("true");
+    const duplicatePolicy =
+      req.body?.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+    const formatOptions = {
+      sheet: req.body?.sheet?.trim() || undefined,
+      allSheets: req.body?.allSheets === "true",
+    };
 
-      // Validate and clean data
-      const validatedData = [];
-      const errors = [];
-
-      data.forEach((row, index) => {
-        const rowNumber = index + 2; // +2 because of 0-based index and header row
-
-        if (!row.firstname || !row.firstname.toString().trim()) {
-          errors.push(`Row ${rowNumber}: FirstName is required`);
-          return;
-        }
-
-        if (!row.phone || !row.phone.toString().trim()) {
-          errors.push(`Row ${rowNumber}: Phone is required`);
-          return;
-        }
-
-        // Clean and validate phone number
-        const phone = row.phone.toString().trim();
-        if (!/^[+]?[\d\s()-]+$/.test(phone)) {
-          errors.push(`Row ${rowNumber}: Invalid phone number format`);
-          return;
-        }
-
-        validatedData.push({
-          firstName: row.firstname.toString().trim(),
-          phone: phone,
-          notes: (row.notes || "").toString().trim(),
-        });
-      });
+    if (!getDistributionStrategies().includes(strategy)) {
+      throw createHttpError(
+        "Invalid strategy. Must be one of: " +
+          getDistributionStrategies().join(", "),
+        400
+      );
+    }
 
-      if (errors.length > 0) {
-        throw new Error("Data validation failed:\n" + errors.join("\n"));
-      }
+    if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+      throw createHttpError(
+        "Invalid duplicatePolicy. Must be one of: " +
+          DUPLICATE_POLICIES.join(", "),
+        400
+      );
+    }
 
-      if (validatedData.length === 0) {
-        throw new Error("No valid data rows found in the file");
-      }
+    const format = getImportFormat(path.extname(file.originalname));
 
-      // Get active agents for distribution
-      const agents = await Agent.findActiveAgents();
+    if (format?.loadsWholeFile && file.size > getMaxLoadedFileSize()) {
+      throw createHttpError(
+        `${format.label} files are loaded whole, so they can be at most ${formatFileSize(getMaxLoadedFileSize())}. Use CSV for larger lists.`,
+        400
+      );
+    }
 
-      if (agents.length === 0) {
-        throw new Error("No active agents available for distribution");
-      }
+    if (
+      (formatOptions.sheet || formatOptions.allSheets) &&
+      !format?.multiSheet
+    ) {
+      throw createHttpError(
+        "sheet and allSheets can only be used with spreadsheet files",
+        400
+      );
+    }
 
-      // Generate unique upload ID
-      const uploadId = uuidv4();
+    const requestedMapping = await getRequestedMapping(req);
+    const uploadId = uuidv4();
+    let preview;
+    let confirmToken;
 
-      // Prepare upload data
-      const uploadData = {
+    if (isPreview) {
+      const issued = await UploadPreview.issue({
+        organization: req.organizationId,
         uploadId,
         fileName: file.filename,
         originalFileName: file.originalname,
-        uploadedBy: req.user._id,
-      };
-
-      // Distribute items among agents
-      const distributions = await List.distributeItems(
-        validatedData,
-        agents,
-        uploadData
-      );
-
-      // Get distribution summary
-      const summary = distributions.map((dist) => ({
-        agent: {
-          id: dist.agentId,
-          name: agents.find((a) => a._id.equals(dist.agentId)).name,
-          email: agents.find((a) => a._id.equals(dist.agentId)).email,
-        },
-        itemsCount: dist.totalItems,
-      }));
-
-      res.json({
-        success: true,
-        message: "File uploaded and distributed successfully",
-        data: {
-          uploadId,
-          totalItems: validatedData.length,
-          totalAgents: agents.length,
-          distributions: summary,
-        },
+        distributionStrategy: strategy,
+        createdBy: req.user._id,
+        createdViaApiKey: req.apiKey?._id,
       });
-    } finally {
-      // Clean up uploaded file
-      try {
-        fs.unlinkSync(filePath);
-      } catch (cleanupError) {
-        console.error("File cleanup error:", cleanupError);
-      }
+      preview = issued.preview;
+      confirmToken = issued.token;
     }
+
+    const job = await enqueueJob({
+      organization: req.organizationId,
+      type: "upload",
+      uploadId,
+      filePath: file.path,
+      fileName: file.filename,
+      originalFileName: file.originalname,
+      options: {
+        strategy,
+        partial: isPartial,
+        duplicatePolicy,
+        preview: isPreview,
+        requestedMapping,
+        formatOptions,
+      },
+      previewId: preview?._id,
+      ...getJobCreator(req),
+    });
+
+    res.status(202).json({
+      success: true,
+      message: isPreview
+        ? "Preview queued. Confirm it once the job has completed."
+        : "Upload queued for processing",
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/lists/jobs/${job._id}`,
+        uploadId,
+        confirmToken,
+        expiresAt: preview?.expiresAt,
+      },
+    });
   } catch (error) {
     console.error("Upload and distribute error:", error);
 
@@ -187,9 +221,213 @@ export const uploadAndDistribute = async (req, res) => {
       }
     }
 
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: error.message || "Failed to process file",
+      details: error.details,
+    });
+  }
+};
+
+/**
+ * Queue the commit of a previewed upload with its confirm token, exactly
+ * as previewed
+ */
+export const confirmUpload = async (req, res) => {
+  try {
+    const { confirmToken } = req.body;
+
+    if (!confirmToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Confirm token is required",
+      });
+    }
+
+    const preview = await UploadPreview.consume(
+      confirmToken,
+      req.organizationId
+    );
+    if (!preview) {
+      // Tell previews that aren't ready yet apart from bad tokens
+      const pending = await UploadPreview.findByToken(
+        confirmToken,
+        req.organizationId
+      );
+      const job =
+        pending &&
+        !pending.readyAt &&
+        (await ImportJob.findOne({ previewId: pending._id }));
+
+      if (job) {
+        return res.status(409).json({
+          success: false,
+          message: ["queued", "running"].includes(job.status)
+            ? "Preview is still being processed"
+            : `Preview job ${job.status}; retry it or preview the upload again`,
+          data: { jobId: job._id, status: job.status },
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired confirm token",
+      });
+    }
+
+    // The split is only valid for the agents it was planned for
+    const agents = await findPlannedAgents(
+      req.organizationId,
+      preview.agentIds
+    );
+
+    if (!agents) {
+      await discardStagedUpload(preview);
+      await UploadPreview.deleteOne({ _id: preview._id });
+      return res.status(409).json({
+        success: false,
+        message:
+          "Agents have changed since the preview was made. Please preview the upload again.",
+      });
+    }
+
+    const job = await enqueueJob({
+      organization: req.organizationId,
+      type: "confirm",
+      uploadId: preview.uploadId,
+      fileName: preview.fileName,
+      originalFileName: preview.originalFileName,
+      options: {
+        strategy: preview.distributionStrategy,
+        agentIds: preview.agentIds,
+        duplicates: preview.duplicates,
+        rejected: {
+          rejectedRows: preview.rejectedRows,
+          totalErrors: preview.totalErrors,
+          errors: preview.rowErrors,
+        },
+        // The lists keep the preview's uploader; the job (and its audit
+        // entries) belongs to the confirming user
+        uploadedBy: preview.createdBy,
+        uploadedViaApiKey: preview.createdViaApiKey,
+      },
+      previewId: preview._id,
+      ...getJobCreator(req),
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Upload confirmed and queued for processing",
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/lists/jobs/${job._id}`,
+        uploadId: preview.uploadId,
+      },
+    });
+  } catch (error) {
+    console.error("Confirm upload error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to confirm upload",
+    });
+  }
+};
+
+/**
+ * Get the progress, errors and result of an upload job
+ */
+export const getImportJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid job ID",
+      });
+    }
+
+    const job = await ImportJob.findOne({
+      _id: jobId,
+      organization: req.organizationId,
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job: job.toSummary() },
+    });
+  } catch (error) {
+    console.error("Get import job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch job",
+    });
+  }
+};
+
+/**
+ * Cancel a queued or running upload job; anything it saved is removed
+ */
+export const cancelImportJob = async (req, res) => {
+  try {
+    const job = await cancelJob(req.organizationId, req.params.jobId);
+
+    await recordAudit(req, {
+      action: "list.job_cancel",
+      targetType: "job",
+      targetId: job._id,
+      metadata: { uploadId: job.uploadId, type: job.type },
+    });
+
+    res.json({
+      success: true,
+      message:
+        job.status === "cancelled"
+          ? "Job cancelled"
+          : "Cancellation requested; the job stops at its next batch",
+      data: { job: job.toSummary() },
+    });
+  } catch (error) {
+    console.error("Cancel import job error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to cancel job",
+    });
+  }
+};
+
+/**
+ * Run a failed or cancelled upload job again
+ */
+export const retryImportJob = async (req, res) => {
+  try {
+    const job = await retryJob(req.organizationId, req.params.jobId);
+
+    await recordAudit(req, {
+      action: "list.job_retry",
+      targetType: "job",
+      targetId: job._id,
+      metadata: { uploadId: job.uploadId, type: job.type },
+    });
+
+    res.json({
+      success: true,
+      message: "Job queued again",
+      data: { job: job.toSummary() },
+    });
+  } catch (error) {
+    console.error("Retry import job error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to retry job",
     });
   }
 };
@@ -203,7 +441,7 @@ export const getAllDistributions = async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build match filter
-    let matchFilter = {};
+    let matchFilter = { organization: req.organizationId };
     if (status && status !== "all") {
       // Add status filter logic based on completion
       if (status === "completed") {
@@ -321,6 +559,269 @@ export const getAllDistributions = async (req, res) => {
   }
 };
 
+/**
+ * Get rows held back in the unassigned pool
+ */
+export const getUnassignedItems = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, uploadId } = req.query;
+
+    // Build query
+    const query = { organization: req.organizationId };
+    if (uploadId) query.uploadId = uploadId;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [items, totalCount] = await Promise.all([
+      UnassignedItem.find(query)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      UnassignedItem.countDocuments(query),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get unassigned items error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch unassigned items",
+    });
+  }
+};
+
+/**
+ * Download the rows a partial import skipped as CSV: the original columns
+ * plus an "error" column describing what was wrong
+ */
+export const downloadRejectedRows = async (req, res) => {
+  try {
+    const query = {
+      organization: req.organizationId,
+      uploadId: req.params.uploadId,
+    };
+
+    const first = await RejectedRow.findOne(query).sort({ rowNumber: 1 });
+    if (!first) {
+      return res.status(404).json({
+        success: false,
+        message: "No rejected rows found for this upload",
+      });
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="rejected-rows-${req.params.uploadId}.csv"`
+    );
+    // Rows of a multi-sheet import say which sheet they came from
+    const withSheet = Boolean(first.sheet);
+    res.write(
+      Papa.unparse([
+        [...(withSheet ? ["sheet"] : []), ...first.headers, "error"],
+      ]) + "\r\n"
+    );
+
+    const cursor = RejectedRow.find(query)
+      .sort({ rowNumber: 1 })
+      .lean()
+      .cursor();
+
+    for await (const row of cursor) {
+      const error = row.issues
+        .map((issue) => `${issue.column}: ${issue.reason}`)
+        .join("; ");
+
+      // Respect backpressure so large reports don't pile up in memory
+      const cells = [...row.values, error];
+      if (withSheet) cells.unshift(row.sheet);
+
+      if (!res.write(Papa.unparse([cells]) + "\r\n")) {
+        await drained(res);
+        // The client went away
+        if (res.destroyed) break;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("Download rejected rows error:", error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to download rejected rows",
+    });
+  }
+};
+
+/**
+ * Stream the items of the lists matching `match` as a CSV or XLSX download
+ * (`format` and `status` query parameters), recording the export
+ */
+const sendListExport = async (
+  req,
+  res,
+  { match, fileName, targetType, targetId }
+) => {
+  const format = req.query.format || "csv";
+  const { status } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw createHttpError(
+      "Invalid format. Must be one of: " +
+        Object.keys(EXPORT_FORMATS).join(", "),
+      400
+    );
+  }
+
+  if (status && !ITEM_STATUSES.includes(status)) {
+    throw createHttpError(
+      "Invalid status. Must be one of: " + ITEM_STATUSES.join(", "),
+      400
+    );
+  }
+
+  const customFieldFilter = await loadCustomFieldFilter(
+    req.organizationId,
+    req.query
+  );
+
+  await recordAudit(req, {
+    action: "list.export",
+    targetType,
+    targetId,
+    metadata: { format, status, customFieldFilter },
+  });
+
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName}.${format}"`
+  );
+
+  await streamListExport(res, {
+    organization: req.organizationId,
+    match,
+    status,
+    customFieldFilter,
+    format,
+    sheetName: fileName,
+  });
+};
+
+/**
+ * Respond to a failed export, or cut the download short once it started
+ */
+const handleExportError = (res, error, message) => {
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : message,
+  });
+};
+
+/**
+ * Export the items of one list
+ */
+export const exportList = async (req, res) => {
+  try {
+    const { listId } = req.params;
+
+    const exists =
+      mongoose.Types.ObjectId.isValid(listId) &&
+      (await List.exists({ _id: listId, organization: req.organizationId }));
+    if (!exists) {
+      throw createHttpError("List not found", 404);
+    }
+
+    await sendListExport(req, res, {
+      match: { _id: new mongoose.Types.ObjectId(listId) },
+      fileName: `list-${listId}`,
+      targetType: "list",
+      targetId: listId,
+    });
+  } catch (error) {
+    console.error("Export list error:", error);
+    handleExportError(res, error, "Failed to export list");
+  }
+};
+
+/**
+ * Export the items of every list of an upload
+ */
+export const exportUpload = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+
+    const exists = await List.exists({
+      uploadId,
+      organization: req.organizationId,
+    });
+    if (!exists) {
+      throw createHttpError("No distributions found for this upload", 404);
+    }
+
+    await sendListExport(req, res, {
+      match: { uploadId },
+      fileName: `upload-${uploadId}`,
+      targetType: "upload",
+      targetId: uploadId,
+    });
+  } catch (error) {
+    console.error("Export upload error:", error);
+    handleExportError(res, error, "Failed to export upload");
+  }
+};
+
+/**
+ * Export every item assigned to an agent
+ */
+export const exportAgentAssignments = async (req, res) => {
+  try {
+    const { agentId } = req.params;
+
+    const exists =
+      mongoose.Types.ObjectId.isValid(agentId) &&
+      (await Agent.exists({ _id: agentId, organization: req.organizationId }));
+    if (!exists) {
+      throw createHttpError("Agent not found", 404);
+    }
+
+    await sendListExport(req, res, {
+      match: { agentId: new mongoose.Types.ObjectId(agentId) },
+      fileName: `agent-${agentId}`,
+      targetType: "agent",
+      targetId: agentId,
+    });
+  } catch (error) {
+    console.error("Export agent assignments error:", error);
+    handleExportError(res, error, "Failed to export agent assignments");
+  }
+};
+
 /**
  * Get lists for a specific agent
  */
@@ -336,21 +837,35 @@ export const getAgentLists = async (req, res) => {
       });
     }
 
+    if (!mongoose.Types.ObjectId.isValid(agentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid agent ID",
+      });
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Get lists for agent with populated agent info
-    const lists = await List.find({ agentId })
+    const listFilter = { organization: req.organizationId, agentId };
+    const lists = await List.find(listFilter)
       .populate("agentId", "name email mobile")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const totalCount = await List.countDocuments({ agentId });
+    const totalCount = await List.countDocuments(listFilter);
 
     // Calculate stats for the agent
     const stats = await List.aggregate([
-      { $match: { agentId: List.schema.obj.agentId.cast(agentId) } },
+      {
+        $match: {
+          organization: req.organizationId,
+          // Aggregations don't cast like find() does
+          agentId: new mongoose.Types.ObjectId(String(agentId)),
+        },
+      },
       {
         $group: {
           _id: null,
@@ -412,10 +927,10 @@ export const getDistributions = async (req, res) => {
     }
 
     // Get all lists for this upload
-    const distributions = await List.find({ uploadId }).populate(
-      "agentId",
-      "name email"
-    );
+    const distributions = await List.find({
+      uploadId,
+      organization: req.organizationId,
+    }).populate("agentId", "name email");
 
     if (distributions.length === 0) {
       return res.status(404).json({
@@ -426,7 +941,7 @@ export const getDistributions = async (req, res) => {
 
     // Get distribution statistics
     const stats = await List.aggregate([
-      { $match: { uploadId } },
+      { $match: { uploadId, organization: req.organizationId } },
       {
         $group: {
           _id: null,
@@ -467,7 +982,8 @@ export const getDistributions = async (req, res) => {
 export const updateItemStatus = async (req, res) => {
   try {
     const { listId, itemId } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, note, overrideReason, callbackAt, callbackNote } =
+      req.body;
 
     if (!listId || !itemId) {
       return res.status(400).json({
@@ -476,16 +992,18 @@ export const updateItemStatus = async (req, res) => {
       });
     }
 
-    const validStatuses = ["pending", "contacted", "completed", "failed"];
-    if (!validStatuses.includes(status)) {
+    if (!ITEM_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid status. Must be one of: " + validStatuses.join(", "),
+        message: "Invalid status. Must be one of: " + ITEM_STATUSES.join(", "),
       });
     }
 
     // Find and update the list
-    const list = await List.findById(listId);
+    const list = await List.findOne({
+      _id: listId,
+      organization: req.organizationId,
+    });
     if (!list) {
       return res.status(404).json({
         success: false,
@@ -493,11 +1011,31 @@ export const updateItemStatus = async (req, res) => {
       });
     }
 
+    const item = list.items.id(itemId);
+    const before = snapshot(item, ["status", "notes"]);
+
     // Update item status
     const additionalData = {};
     if (notes) additionalData.notes = notes;
 
-    await list.updateItemStatus(itemId, status, additionalData);
+    await list.updateItemStatus(itemId, status, additionalData, {
+      actor: getActor(req),
+      note,
+      overrideReason,
+      callback:
+        callbackAt !== undefined
+          ? { dueAt: callbackAt, note: callbackNote }
+          : undefined,
+    });
+
+    await recordAudit(req, {
+      action: "list_item.status_update",
+      targetType: "list_item",
+      targetId: itemId,
+      before,
+      after: snapshot(item, ["status", "notes"]),
+      metadata: { listId: list._id, overrideReason },
+    });
 
     res.json({
       success: true,
@@ -506,6 +1044,8 @@ export const updateItemStatus = async (req, res) => {
         listId: list._id,
         itemId,
         status,
+        statusHistory: item.statusHistory,
+        callback: item.callback,
         completionPercentage: list.getCompletionPercentage(),
       },
     });
@@ -519,6 +1059,15 @@ export const updateItemStatus = async (req, res) => {
       });
     }
 
+    // Disallowed transition or invalid note
+    if (error.status || error.name === "ValidationError") {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        details: error.details,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to update item status",
@@ -526,6 +1075,353 @@ export const updateItemStatus = async (req, res) => {
   }
 };
 
+/**
+ * Update the status of many items at once, chosen by `itemIds` or by a
+ * `filter` ({ listId, uploadId, agentId, status, "cf.<key>" }); answers
+ * with one result per item, including the ones that couldn't change
+ */
+export const bulkUpdateItemStatus = async (req, res) => {
+  try {
+    const { itemIds, filter, status, note, notes, overrideReason } = req.body;
+
+    if (!ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Must be one of: " + ITEM_STATUSES.join(", "),
+      });
+    }
+
+    if (
+      (itemIds === undefined) === (filter === undefined) ||
+      (filter !== undefined &&
+        (filter === null ||
+          typeof filter !== "object" ||
+          Array.isArray(filter)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Send either itemIds or a filter object",
+      });
+    }
+
+    const customFieldFilter = filter
+      ? await loadCustomFieldFilter(req.organizationId, filter)
+      : [];
+
+    const result = await updateItemStatusesInBulk(
+      req.organizationId,
+      { itemIds, filter, customFieldFilter },
+      status,
+      { actor: getActor(req), note, overrideReason, notes }
+    );
+
+    await recordAudit(req, {
+      action: "list_item.bulk_status_update",
+      targetType: "list_item",
+      metadata: {
+        status,
+        filter,
+        itemCount: itemIds?.length,
+        overrideReason,
+        notes,
+        matched: result.matched,
+        updated: result.updated,
+        failed: result.failed,
+        updatedItemIds: result.results
+          .filter((entry) => entry.success)
+          .map((entry) => entry.itemId),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `${result.updated} of ${result.matched} item(s) updated`,
+      data: { status, ...result },
+    });
+  } catch (error) {
+    console.error("Bulk update item status error:", error);
+
+    if (error.status || error.name === "ValidationError") {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update item statuses",
+    });
+  }
+};
+
+/**
+ * Get an item of a list with its status history
+ */
+export const getItem = async (req, res) => {
+  try {
+    const { listId, itemId } = req.params;
+
+    const list =
+      mongoose.Types.ObjectId.isValid(listId) &&
+      (await List.findOne({
+        _id: listId,
+        organization: req.organizationId,
+      }).populate("agentId", "name email"));
+    const item = list && list.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: list ? "Item not found" : "List not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        listId: list._id,
+        uploadId: list.uploadId,
+        agent: list.agentId,
+        item: {
+          ...item.toObject(),
+          allowedTransitions: ITEM_STATUS_TRANSITIONS[item.status],
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch item",
+    });
+  }
+};
+
+/**
+ * Schedule or clear (dueAt null) the callback of an item
+ */
+export const scheduleItemCallback = async (req, res) => {
+  try {
+    const { listId, itemId } = req.params;
+    const { dueAt, note } = req.body;
+
+    if (dueAt === undefined) {
+      throw createHttpError("dueAt is required (null to clear)", 400);
+    }
+
+    const list =
+      mongoose.Types.ObjectId.isValid(listId) &&
+      (await List.findOne({ _id: listId, organization: req.organizationId }));
+    if (!list) {
+      throw createHttpError("List not found", 404);
+    }
+
+    const before = list.items.id(itemId)?.callback?.toObject();
+    await list.scheduleItemCallback(itemId, { dueAt, note }, getActor(req));
+    const item = list.items.id(itemId);
+
+    await recordAudit(req, {
+      action: "list_item.callback_update",
+      targetType: "list_item",
+      targetId: itemId,
+      before: { callback: before },
+      after: { callback: item.callback?.toObject() },
+      metadata: { listId: list._id },
+    });
+
+    res.json({
+      success: true,
+      message: item.callback ? "Callback scheduled" : "Callback cleared",
+      data: { listId: list._id, itemId, callback: item.callback },
+    });
+  } catch (error) {
+    console.error("Schedule callback error:", error);
+
+    if (error.message === "Item not found") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to schedule callback",
+    });
+  }
+};
+
+/**
+ * Get due and overdue callbacks across the organization, or of one agent
+ */
+export const getCallbacks = async (req, res) => {
+  try {
+    const agentId = req.params.agentId || req.query.agentId;
+
+    if (agentId && !mongoose.Types.ObjectId.isValid(agentId)) {
+      throw createHttpError("Invalid agent ID", 400);
+    }
+
+    const data = await findCallbacks({
+      organization: req.organizationId,
+      agentId,
+      ...parseCallbackQuery(req.query),
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Get callbacks error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to fetch callbacks",
+    });
+  }
+};
+
+/**
+ * Move a whole list, or selected items of it, to another agent
+ */
+export const reassignList = async (req, res) => {
+  try {
+    const { listId } = req.params;
+    const { toAgentId, itemIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(toAgentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid target agent ID is required",
+      });
+    }
+
+    if (
+      itemIds !== undefined &&
+      (!Array.isArray(itemIds) ||
+        itemIds.length === 0 ||
+        !itemIds.every((itemId) => mongoose.Types.ObjectId.isValid(itemId)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "itemIds must be a non-empty array of item IDs",
+      });
+    }
+
+    const list = await List.findOne({
+      _id: listId,
+      organization: req.organizationId,
+    });
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: "List not found",
+      });
+    }
+
+    const fromAgentId = list.agentId;
+    const toAgent = await findTargetAgent(req.organizationId, toAgentId);
+
+    const { movedItems, targetList } = itemIds
+      ? await moveItems(list, itemIds, toAgent)
+      : await moveList(list, toAgent);
+
+    await recordAudit(req, {
+      action: itemIds ? "list_item.reassign" : "list.reassign",
+      targetType: "list",
+      targetId: list._id,
+      before: { agentId: fromAgentId },
+      after: { agentId: toAgent._id },
+      metadata: {
+        uploadId: list.uploadId,
+        targetListId: targetList._id,
+        movedItems,
+        itemIds,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `${movedItems} item(s) reassigned to ${toAgent.name}`,
+      data: {
+        movedItems,
+        fromAgentId,
+        toAgentId: toAgent._id,
+        targetListId: targetList._id,
+      },
+    });
+  } catch (error) {
+    console.error("Reassign list error:", error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to reassign items",
+    });
+  }
+};
+
+/**
+ * Redistribute the pending items of an upload across current active agents
+ */
+export const rebalanceUpload = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const strategy = req.body?.strategy || DEFAULT_DISTRIBUTION_STRATEGY;
+
+    if (!getDistributionStrategies().includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Invalid strategy. Must be one of: " +
+          getDistributionStrategies().join(", "),
+      });
+    }
+
+    const result = await rebalanceUploadItems(req.organizationId, uploadId, {
+      strategy,
+    });
+
+    await recordAudit(req, {
+      action: "upload.rebalance",
+      targetType: "upload",
+      targetId: uploadId,
+      metadata: {
+        strategy,
+        totalItems: result.totalItems,
+        heldBack: result.heldBack,
+        distributions: result.distributions.map((entry) => ({
+          agentId: entry.agent.id,
+          itemsCount: entry.itemsCount,
+        })),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Upload rebalanced successfully",
+      data: { uploadId, strategy, ...result },
+    });
+  } catch (error) {
+    console.error("Rebalance upload error:", error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to rebalance upload",
+    });
+  }
+};
+
 /**
  * Get list by ID with all items
  */
@@ -541,7 +1437,15 @@ export const getList = async (req, res) => {
       });
     }
 
-    const list = await List.findById(listId).populate("agentId", "name email");
+    const customFieldFilter = await loadCustomFieldFilter(
+      req.organizationId,
+      req.query
+    );
+
+    const list = await List.findOne({
+      _id: listId,
+      organization: req.organizationId,
+    }).populate("agentId", "name email");
 
     if (!list) {
       return res.status(404).json({
@@ -550,11 +1454,12 @@ export const getList = async (req, res) => {
       });
     }
 
-    // Filter items by status if provided
-    let filteredItems = list.items;
-    if (status) {
-      filteredItems = list.items.filter((item) => item.status === status);
-    }
+    // Filter items by status and custom fields if provided
+    const filteredItems = list.items.filter(
+      (item) =>
+        (!status || item.status === status) &&
+        matchesCustomFieldFilter(item, customFieldFilter)
+    );
 
     // Paginate items
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -581,6 +1486,14 @@ export const getList = async (req, res) => {
     });
   } catch (error) {
     console.error("Get list error:", error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to fetch list",
@@ -602,7 +1515,10 @@ export const deleteList = async (req, res) => {
       });
     }
 
-    const list = await List.findById(listId);
+    const list = await List.findOne({
+      _id: listId,
+      organization: req.organizationId,
+    });
     if (!list) {
       return res.status(404).json({
         success: false,
@@ -623,6 +1539,20 @@ export const deleteList = async (req, res) => {
 
     await List.findByIdAndDelete(listId);
 
+    await recordAudit(req, {
+      action: "list.delete",
+      targetType: "list",
+      targetId: list._id,
+      before: snapshot(list, [
+        "uploadId",
+        "originalFileName",
+        "agentId",
+        "totalItems",
+        "completedItems",
+        "pendingItems",
+      ]),
+    });
+
     res.json({
       success: true,
       message: "List deleted successfully",
@@ -644,6 +1574,7 @@ export const getDashboardStats = async (req, res) => {
   try {
     // Get overall statistics
     const stats = await List.aggregate([
+      { $match: { organization: req.organizationId } },
       {
         $group: {
           _id: null,
@@ -663,7 +1594,9 @@ export const getDashboardStats = async (req, res) => {
     ]);
 
     // Get recent upload info
-    const recentUpload = await List.findOne()
+    const recentUpload = await List.findOne({
+      organization: req.organizationId,
+    })
       .sort({ createdAt: -1 })
       .select("createdAt");
 
@@ -0,0 +1,238 @@
+import MappingPreset from "../models/mappingPreset.js";
+import mongoose from "mongoose";
+import { IMPORT_FIELDS } from "../services/listImport.js";
+import { recordAudit, snapshot } from "../services/audit.js";
+
+// Preset fields captured in audit entries
+const AUDIT_FIELDS = ["name", "mapping"];
+
+/**
+ * Check a mapping body: an object of known fields → header names
+ */
+const isValidMapping = (mapping) =>
+  mapping !== null &&
+  typeof mapping === "object" &&
+  !Array.isArray(mapping) &&
+  Object.entries(mapping).every(
+    ([field, header]) => IMPORT_FIELDS[field] && typeof header === "string"
+  );
+
+/**
+ * Get the organization's column mapping presets
+ */
+export const getMappingPresets = async (req, res) => {
+  try {
+    const presets = await MappingPreset.find({
+      organization: req.organizationId,
+    }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { presets, fields: Object.keys(IMPORT_FIELDS) },
+    });
+  } catch (error) {
+    console.error("Get mapping presets error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch mapping presets",
+    });
+  }
+};
+
+/**
+ * Create a column mapping preset
+ */
+export const createMappingPreset = async (req, res) => {
+  try {
+    const { name, mapping } = req.body;
+
+    if (!name || !isValidMapping(mapping)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Name and a mapping of fields (" +
+          Object.keys(IMPORT_FIELDS).join(", ") +
+          ") to column headers are required",
+      });
+    }
+
+    const existing = await MappingPreset.exists({
+      organization: req.organizationId,
+      name: name.trim(),
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "A mapping preset with this name already exists",
+      });
+    }
+
+    const preset = await MappingPreset.create({
+      organization: req.organizationId,
+      name,
+      mapping,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "mapping_preset.create",
+      targetType: "mapping_preset",
+      targetId: preset._id,
+      after: snapshot(preset.toObject(), AUDIT_FIELDS),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Mapping preset created successfully",
+      data: { preset },
+    });
+  } catch (error) {
+    console.error("Create mapping preset error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create mapping preset",
+    });
+  }
+};
+
+/**
+ * Update a column mapping preset
+ */
+export const updateMappingPreset = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, mapping } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid mapping preset ID",
+      });
+    }
+
+    if (mapping !== undefined && !isValidMapping(mapping)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Mapping must map fields (" +
+          Object.keys(IMPORT_FIELDS).join(", ") +
+          ") to column headers",
+      });
+    }
+
+    const preset = await MappingPreset.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        message: "Mapping preset not found",
+      });
+    }
+
+    const before = snapshot(preset.toObject(), AUDIT_FIELDS);
+
+    if (name !== undefined && name.trim() !== preset.name) {
+      const existing = await MappingPreset.exists({
+        organization: req.organizationId,
+        name: name.trim(),
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: "A mapping preset with this name already exists",
+        });
+      }
+      preset.name = name;
+    }
+    if (mapping !== undefined) preset.mapping = mapping;
+
+    await preset.save();
+
+    await recordAudit(req, {
+      action: "mapping_preset.update",
+      targetType: "mapping_preset",
+      targetId: preset._id,
+      before,
+      after: snapshot(preset.toObject(), AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "Mapping preset updated successfully",
+      data: { preset },
+    });
+  } catch (error) {
+    console.error("Update mapping preset error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update mapping preset",
+    });
+  }
+};
+
+/**
+ * Delete a column mapping preset
+ */
+export const deleteMappingPreset = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid mapping preset ID",
+      });
+    }
+
+    const preset = await MappingPreset.findOneAndDelete({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        message: "Mapping preset not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "mapping_preset.delete",
+      targetType: "mapping_preset",
+      targetId: preset._id,
+      before: snapshot(preset.toObject(), AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "Mapping preset deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete mapping preset error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete mapping preset",
+    });
+  }
+};
@@ -0,0 +1,266 @@
+import Organization from "../models/organization.js";
+import User from "../models/user.js";
+import mongoose from "mongoose";
+import { recordAudit, snapshot } from "../services/audit.js";
+import { escapeRegExp } from "../utils/regex.js";
+
+// Organization fields captured in audit entries
+const AUDIT_FIELDS = ["name", "isActive"];
+
+/**
+ * Get the organization of the authenticated user
+ */
+export const getCurrentOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+
+    res.json({
+      success: true,
+      data: { organization },
+    });
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organization",
+    });
+  }
+};
+
+/**
+ * Rename the organization of the authenticated user
+ */
+export const updateCurrentOrganization = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const organization = await Organization.findById(req.organizationId);
+    const before = snapshot(organization, AUDIT_FIELDS);
+
+    if (name !== undefined) organization.name = name;
+
+    await organization.save();
+
+    await recordAudit(req, {
+      action: "organization.update",
+      targetType: "organization",
+      targetId: organization._id,
+      before,
+      after: snapshot(organization, AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "Organization updated successfully",
+      data: { organization },
+    });
+  } catch (error) {
+    console.error("Update organization error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update organization",
+    });
+  }
+};
+
+/**
+ * Get all organizations (platform admins)
+ */
+export const getOrganizations = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, isActive } = req.query;
+
+    // Build query
+    const query = {};
+    if (search) query.name = { $regex: escapeRegExp(search), $options: "i" };
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [organizations, totalCount] = await Promise.all([
+      Organization.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Organization.countDocuments(query),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        organizations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get organizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organizations",
+    });
+  }
+};
+
+/**
+ * Create an organization together with its first admin (platform admins)
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    const { name, adminEmail, adminPassword } = req.body;
+
+    if (!name || !adminEmail || !adminPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, admin email and admin password are required",
+      });
+    }
+
+    if (await User.findByEmail(adminEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: "User with this email already exists",
+      });
+    }
+
+    const organization = await Organization.createWithName(name, req.user._id);
+
+    let admin;
+    try {
+      admin = await User.createAdmin(adminEmail, adminPassword, {
+        organization: organization._id,
+        createdBy: req.user._id,
+      });
+    } catch (error) {
+      // Don't leave an organization nobody can log in to
+      await Organization.deleteOne({ _id: organization._id });
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: "organization.create",
+      targetType: "organization",
+      targetId: organization._id,
+      after: snapshot(organization, AUDIT_FIELDS),
+      metadata: { adminId: admin._id, adminEmail: admin.email },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      data: {
+        organization,
+        admin: {
+          id: admin._id,
+          email: admin.email,
+          role: admin.role,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Create organization error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create organization",
+    });
+  }
+};
+
+/**
+ * Rename or (de)activate any organization (platform admins)
+ */
+export const updateOrganization = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid organization ID",
+      });
+    }
+
+    const organization = await Organization.findById(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+    }
+
+    // Deactivating your own organization would lock everyone out
+    if (isActive === false && organization._id.equals(req.organizationId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own organization",
+      });
+    }
+
+    const before = snapshot(organization, AUDIT_FIELDS);
+
+    if (name !== undefined) organization.name = name;
+    if (isActive !== undefined) organization.isActive = isActive;
+
+    await organization.save();
+
+    await recordAudit(req, {
+      action: "organization.update",
+      targetType: "organization",
+      targetId: organization._id,
+      before,
+      after: snapshot(organization, AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "Organization updated successfully",
+      data: { organization },
+    });
+  } catch (error) {
+    console.error("Update organization error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update organization",
+    });
+  }
+};
@@ -0,0 +1,403 @@
+import List, {
+  ITEM_STATUSES,
+  ITEM_STATUS_TRANSITIONS,
+} from "../models/list.js";
+import mongoose from "mongoose";
+import { getActor, recordAudit, snapshot } from "../services/audit.js";
+import { findCallbacks, parseCallbackQuery } from "../services/callbacks.js";
+import {
+  loadCustomFieldFilter,
+  matchesCustomFieldFilter,
+} from "../services/customFields.js";
+
+/**
+ * Get logged-in agent profile
+ */
+export const getMyProfile = async (req, res) => {
+  try {
+    const agent = req.agent;
+
+    res.json({
+      success: true,
+      data: {
+        agent: {
+          id: agent._id,
+          name: agent.name,
+          email: agent.email,
+          mobile: agent.mobile,
+          isActive: agent.isActive,
+          assignedListsCount: agent.assignedListsCount,
+          totalItemsAssigned: agent.totalItemsAssigned,
+          lastLogin: agent.lastLogin,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get agent profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch agent profile",
+    });
+  }
+};
+
+/**
+ * Get lists assigned to the logged-in agent
+ */
+export const getMyLists = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const agentId = req.agent._id;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Items are fetched per list through getMyList
+    const [lists, totalCount, stats] = await Promise.all([
+      List.findByAgent(agentId, { skip, limit: parseInt(limit) }).select(
+        "-items"
+      ),
+      List.countDocuments({ agentId }),
+      List.aggregate([
+        { $match: { agentId } },
+        {
+          $group: {
+            _id: null,
+            totalItems: { $sum: "$totalItems" },
+            completedItems: { $sum: "$completedItems" },
+            pendingItems: { $sum: "$pendingItems" },
+            totalLists: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        lists,
+        stats: stats[0] || {
+          totalItems: 0,
+          completedItems: 0,
+          pendingItems: 0,
+          totalLists: 0,
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get my lists error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lists",
+    });
+  }
+};
+
+/**
+ * Get a single list owned by the logged-in agent
+ */
+export const getMyList = async (req, res) => {
+  try {
+    const { listId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid list ID",
+      });
+    }
+
+    const customFieldFilter = await loadCustomFieldFilter(
+      req.organizationId,
+      req.query
+    );
+
+    const list = await List.findOne({ _id: listId, agentId: req.agent._id });
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: "List not found",
+      });
+    }
+
+    // Filter items by status and custom fields if provided
+    const filteredItems = list.items.filter(
+      (item) =>
+        (!status || item.status === status) &&
+        matchesCustomFieldFilter(item, customFieldFilter)
+    );
+
+    // Paginate items
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedItems = filteredItems.slice(skip, skip + parseInt(limit));
+    const totalItems = filteredItems.length;
+    const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        list: {
+          ...list.toObject(),
+          items: paginatedItems,
+          completionPercentage: list.getCompletionPercentage(),
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get my list error:", error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch list",
+    });
+  }
+};
+
+/**
+ * Get an item of one of the logged-in agent's lists with its status history
+ */
+export const getMyItem = async (req, res) => {
+  try {
+    const { listId, itemId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid list ID",
+      });
+    }
+
+    const list = await List.findOne({ _id: listId, agentId: req.agent._id });
+    const item = list?.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: list ? "Item not found" : "List not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        listId: list._id,
+        item: {
+          ...item.toObject(),
+          allowedTransitions: ITEM_STATUS_TRANSITIONS[item.status],
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get my item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch item",
+    });
+  }
+};
+
+/**
+ * Update status of an item in one of the logged-in agent's lists
+ */
+export const updateMyItemStatus = async (req, res) => {
+  try {
+    const { listId, itemId } = req.params;
+    const { status, notes, note, overrideReason, callbackAt, callbackNote } =
+      req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid list ID",
+      });
+    }
+
+    if (!ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Must be one of: " + ITEM_STATUSES.join(", "),
+      });
+    }
+
+    // Agents can only touch their own lists
+    const list = await List.findOne({ _id: listId, agentId: req.agent._id });
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: "List not found",
+      });
+    }
+
+    const before = snapshot(list.items.id(itemId), ["status", "notes"]);
+
+    const additionalData = {};
+    if (notes) additionalData.notes = notes;
+
+    await list.updateItemStatus(itemId, status, additionalData, {
+      actor: getActor(req),
+      note,
+      overrideReason,
+      callback:
+        callbackAt !== undefined
+          ? { dueAt: callbackAt, note: callbackNote }
+          : undefined,
+    });
+    const item = list.items.id(itemId);
+
+    await recordAudit(req, {
+      action: "list_item.status_update",
+      targetType: "list_item",
+      targetId: itemId,
+      before,
+      after: snapshot(item, ["status", "notes"]),
+      metadata: { listId: list._id, overrideReason },
+    });
+
+    res.json({
+      success: true,
+      message: "Item status updated successfully",
+      data: {
+        listId: list._id,
+        itemId,
+        status,
+        statusHistory: item.statusHistory,
+        callback: item.callback,
+        completionPercentage: list.getCompletionPercentage(),
+      },
+    });
+  } catch (error) {
+    console.error("Update my item status error:", error);
+
+    if (error.message === "Item not found") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Disallowed transition or invalid note
+    if (error.status || error.name === "ValidationError") {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update item status",
+    });
+  }
+};
+
+/**
+ * Get the logged-in agent's due and overdue callbacks
+ */
+export const getMyCallbacks = async (req, res) => {
+  try {
+    const data = await findCallbacks({
+      organization: req.organizationId,
+      agentId: req.agent._id,
+      ...parseCallbackQuery(req.query),
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Get my callbacks error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to fetch callbacks",
+    });
+  }
+};
+
+/**
+ * Schedule or clear (dueAt null) the callback of an item in one of the
+ * logged-in agent's lists
+ */
+export const scheduleMyCallback = async (req, res) => {
+  try {
+    const { listId, itemId } = req.params;
+    const { dueAt, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid list ID",
+      });
+    }
+
+    if (dueAt === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "dueAt is required (null to clear)",
+      });
+    }
+
+    const list = await List.findOne({ _id: listId, agentId: req.agent._id });
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: "List not found",
+      });
+    }
+
+    const before = list.items.id(itemId)?.callback?.toObject();
+    await list.scheduleItemCallback(itemId, { dueAt, note }, getActor(req));
+    const item = list.items.id(itemId);
+
+    await recordAudit(req, {
+      action: "list_item.callback_update",
+      targetType: "list_item",
+      targetId: itemId,
+      before: { callback: before },
+      after: { callback: item.callback?.toObject() },
+      metadata: { listId: list._id },
+    });
+
+    res.json({
+      success: true,
+      message: item.callback ? "Callback scheduled" : "Callback cleared",
+      data: { listId: list._id, itemId, callback: item.callback },
+    });
+  } catch (error) {
+    console.error("Schedule my callback error:", error);
+
+    if (error.message === "Item not found") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to schedule callback",
+    });
+  }
+};
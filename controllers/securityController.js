@@ -0,0 +1,127 @@
+import User from "../models/user.js";
+import Agent from "../models/agent.js";
+import SecurityEvent from "../models/securityEvent.js";
+import mongoose from "mongoose";
+import { recordAudit } from "../services/audit.js";
+
+/**
+ * Unlock an admin or agent account locked by failed logins
+ */
+export const unlockAccount = async (req, res) => {
+  try {
+    const { accountType, id } = req.body;
+
+    if (!["user", "agent"].includes(accountType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Account type must be one of: user, agent",
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid account ID",
+      });
+    }
+
+    const Model = accountType === "agent" ? Agent : User;
+    const account = await Model.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found",
+      });
+    }
+
+    await account.resetLoginAttempts();
+
+    await SecurityEvent.create({
+      organization: req.organizationId,
+      type: "account_unlocked",
+      subjectType: accountType,
+      subjectId: account._id,
+      email: account.email,
+      ip: req.ip,
+      performedBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "account.unlock",
+      targetType: accountType,
+      targetId: account._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Account unlocked successfully",
+    });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock account",
+    });
+  }
+};
+
+/**
+ * Get security events (lockouts and unlocks)
+ */
+export const getSecurityEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, subjectType, subjectId } = req.query;
+
+    // Build query
+    const query = { organization: req.organizationId };
+    if (type) query.type = type;
+    if (subjectType) query.subjectType = subjectType;
+    if (subjectId) {
+      if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid account ID",
+        });
+      }
+      query.subjectId = subjectId;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, totalCount] = await Promise.all([
+      SecurityEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate("performedBy", "email"),
+      SecurityEvent.countDocuments(query),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get security events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch security events",
+    });
+  }
+};
@@ -0,0 +1,61 @@
+import Setting from "../models/setting.js";
+import { recordAudit, snapshot } from "../services/audit.js";
+
+/**
+ * Get organization-wide settings
+ */
+export const getSettings = async (req, res) => {
+  try {
+    const settings = await Setting.getSettings(req.organizationId);
+
+    res.json({
+      success: true,
+      data: { settings },
+    });
+  } catch (error) {
+    console.error("Get settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch settings",
+    });
+  }
+};
+
+/**
+ * Update organization-wide settings
+ */
+export const updateSettings = async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    const settings = await Setting.getSettings(req.organizationId);
+    const before = snapshot(settings, ["requireAdminTwoFactor"]);
+
+    if (requireAdminTwoFactor !== undefined) {
+      settings.requireAdminTwoFactor = Boolean(requireAdminTwoFactor);
+    }
+    settings.updatedBy = req.user._id;
+
+    await settings.save();
+
+    await recordAudit(req, {
+      action: "settings.update",
+      targetType: "settings",
+      targetId: settings._id,
+      before,
+      after: snapshot(settings, ["requireAdminTwoFactor"]),
+    });
+
+    res.json({
+      success: true,
+      message: "Settings updated successfully",
+      data: { settings },
+    });
+  } catch (error) {
+    console.error("Update settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update settings",
+    });
+  }
+};
@@ -0,0 +1,196 @@
+import User from "../models/user.js";
+import Setting from "../models/setting.js";
+import { createSession } from "../middleware/auth.js";
+import { generateTotpSecret, buildOtpauthUri } from "../utils/totp.js";
+
+/**
+ * Start 2FA enrollment: generate a secret and its otpauth:// URI
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const issuer = process.env.TOTP_ISSUER || "Agent Management";
+
+    res.json({
+      success: true,
+      message: "Scan the QR code and confirm with a code from the app",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email, issuer),
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start two-factor setup",
+    });
+  }
+};
+
+/**
+ * Finish 2FA enrollment with a first valid code; returns recovery codes
+ */
+export const verifyTwoFactorSetup = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Code is required",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor setup has not been started",
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code, { pending: true })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    // An enrollment-only login now gets a real session
+    const session = req.tokenPayload.twoFactorEnrollment
+      ? await createSession("user", user._id, req)
+      : {};
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.",
+      data: {
+        recoveryCodes,
+        ...session,
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor verify error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to enable two-factor authentication",
+    });
+  }
+};
+
+/**
+ * Disable 2FA (requires password and a current code)
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and code are required",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const settings = await Setting.getSettings(user.organization);
+    if (user.role === "admin" && settings.requireAdminTwoFactor) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for admin accounts",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or code",
+      });
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to disable two-factor authentication",
+    });
+  }
+};
+
+/**
+ * Replace all recovery codes (requires a current code)
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!code || !user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Recovery codes regenerated",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to regenerate recovery codes",
+    });
+  }
+};
@@ -0,0 +1,356 @@
+import User from "../models/user.js";
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { ROLES } from "../config/permissions.js";
+import { revokeAllSessions } from "../middleware/auth.js";
+import { sendInviteEmail } from "../services/passwordReset.js";
+import { recordAudit, snapshot } from "../services/audit.js";
+import { escapeRegExp } from "../utils/regex.js";
+
+// User fields captured in audit entries
+const AUDIT_FIELDS = ["email", "role", "isActive"];
+
+/**
+ * Format a user for API responses
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  lastLogin: user.lastLogin,
+  createdBy: user.createdBy,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Check whether a change would leave no active admin behind
+ */
+const wouldRemoveLastAdmin = async (user) => {
+  if (user.role !== "admin" || !user.isActive) return false;
+  return (await User.countActiveAdmins(user.organization, user._id)) === 0;
+};
+
+/**
+ * Get all users with pagination and search
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, role, isActive } = req.query;
+
+    // Build query
+    const query = { organization: req.organizationId };
+    if (search) query.email = { $regex: escapeRegExp(search), $options: "i" };
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [users, totalCount] = await Promise.all([
+      User.find(query)
+        .select("-password")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate("createdBy", "email"),
+      User.countDocuments(query),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(formatUser),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch users",
+    });
+  }
+};
+
+/**
+ * Get single user by ID
+ */
+export const getUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+
+    const user = await User.findOne({
+      _id: id,
+      organization: req.organizationId,
+    })
+      .select("-password")
+      .populate("createdBy", "email");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user: formatUser(user) },
+    });
+  } catch (error) {
+    console.error("Get user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch user",
+    });
+  }
+};
+
+/**
+ * Create (invite) a new user; without a password an invite link is emailed
+ */
+export const createUser = async (req, res) => {
+  try {
+    const { email, role = "viewer", password } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role. Must be one of: " + ROLES.join(", "),
+      });
+    }
+
+    // Invited users pick their own password through the invite link
+    const initialPassword = password || crypto.randomBytes(24).toString("hex");
+
+    const user = await User.createAdmin(email, initialPassword, {
+      organization: req.organizationId,
+      role,
+      createdBy: req.user._id,
+    });
+
+    if (!password) {
+      await sendInviteEmail("user", user);
+    }
+
+    await recordAudit(req, {
+      action: "user.create",
+      targetType: "user",
+      targetId: user._id,
+      after: snapshot(user, AUDIT_FIELDS),
+      metadata: { invited: !password },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: password
+        ? "User created successfully"
+        : "User created and invitation sent",
+      data: { user: formatUser(user) },
+    });
+  } catch (error) {
+    console.error("Create user error:", error);
+
+    if (error.message === "Admin user already exists") {
+      return res.status(400).json({
+        success: false,
+        message: "User with this email already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create user",
+    });
+  }
+};
+
+/**
+ * Update a user's role or active state
+ */
+export const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role. Must be one of: " + ROLES.join(", "),
+      });
+    }
+
+    // Strings like "false" would be cast on save and skip the checks below
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isActive must be a boolean",
+      });
+    }
+
+    const user = await User.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const isDemotion = role !== undefined && role !== "admin";
+    const isDeactivation = isActive === false;
+    if ((isDemotion || isDeactivation) && (await wouldRemoveLastAdmin(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot demote or deactivate the last active admin",
+      });
+    }
+
+    const before = snapshot(user, AUDIT_FIELDS);
+
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.update",
+      targetType: "user",
+      targetId: user._id,
+      before,
+      after: snapshot(user, AUDIT_FIELDS),
+    });
+
+    // A deactivated user loses every session immediately
+    if (isDeactivation) {
+      await revokeAllSessions("user", user._id);
+    }
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      data: { user: formatUser(user) },
+    });
+  } catch (error) {
+    console.error("Update user error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update user",
+    });
+  }
+};
+
+/**
+ * Delete a user
+ */
+export const deleteUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+
+    if (req.user._id.equals(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot delete your own account",
+      });
+    }
+
+    const user = await User.findOne({
+      _id: id,
+      organization: req.organizationId,
+    });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (await wouldRemoveLastAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete the last active admin",
+      });
+    }
+
+    await revokeAllSessions("user", user._id);
+    await User.findByIdAndDelete(id);
+
+    await recordAudit(req, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: user._id,
+      before: snapshot(user, AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: "User deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete user",
+    });
+  }
+};
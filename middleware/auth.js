@@ -1,8 +1,76 @@
 import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
 import User from "../models/user.js";
+import Agent from "../models/agent.js";
+import RefreshToken from "../models/refreshToken.js";
+import RevokedToken from "../models/revokedToken.js";
+import ApiKey from "../models/apiKey.js";
+import Organization from "../models/organization.js";
+
+const TOKEN_ISSUER = "agent-management-system";
+const USER_AUDIENCE = "agent-management-users";
+const AGENT_AUDIENCE = "agent-management-agents";
+const TWO_FACTOR_AUDIENCE = "agent-management-2fa";
+
+const getAccessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || "15m";
+
+/**
+ * Check whether a token was issued before the account's "log out all sessions"
+ */
+const isIssuedBeforeRevocation = (decoded, account) => {
+  if (!account.sessionsRevokedAt) return false;
+  return decoded.iat < Math.floor(account.sessionsRevokedAt.getTime() / 1000);
+};
+
+/**
+ * Check whether the account's organization exists and is active
+ */
+export const hasActiveOrganization = async (account) => {
+  if (!account.organization) return false;
+  return Boolean(
+    await Organization.exists({ _id: account.organization, isActive: true })
+  );
+};
+
+/**
+ * Authenticate a request made with an API key; the request acts as the
+ * user who created the key, limited to the key's scopes
+ */
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const apiKey = await ApiKey.authenticate(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid, expired or revoked API key",
+    });
+  }
+
+  const user = await User.findById(apiKey.createdBy).select("-password");
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: "API key owner is deactivated",
+    });
+  }
+
+  if (!(await hasActiveOrganization(user))) {
+    return res.status(403).json({
+      success: false,
+      message: "Organization is deactivated",
+    });
+  }
+
+  await apiKey.recordUsage(req.ip);
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.organizationId = user.organization;
+  next();
+};
 
 /**
- * Middleware to authenticate JWT tokens
+ * Middleware to authenticate JWT tokens (or API keys, sent as
+ * "X-API-Key: <key>" or "Authorization: Bearer <key>")
  */
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -10,6 +78,11 @@ export const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers["authorization"];
     const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
+    const apiKeyHeader = req.headers["x-api-key"];
+    if (apiKeyHeader || ApiKey.isApiKey(token)) {
+      return await authenticateApiKey(apiKeyHeader || token, req, res, next);
+    }
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -18,7 +91,18 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: TOKEN_ISSUER,
+      audience: USER_AUDIENCE,
+    });
+
+    // Reject tokens revoked by logout
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked",
+      });
+    }
 
     // Find user
     const user = await User.findById(decoded.userId).select("-password");
@@ -36,8 +120,32 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    if (isIssuedBeforeRevocation(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked",
+      });
+    }
+
+    if (!(await hasActiveOrganization(user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Organization is deactivated",
+      });
+    }
+
+    // Enrollment-only tokens may just reach the 2FA setup routes
+    if (decoded.twoFactorEnrollment && !req.allowTwoFactorEnrollment) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication must be set up before continuing",
+      });
+    }
+
+    // Attach user, tenant and token payload to request
     req.user = user;
+    req.organizationId = user.organization;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     console.error("Auth middleware error:", error.message);
@@ -84,17 +192,246 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware letting enrollment-only tokens (issued when 2FA is required
+ * but not set up yet) through the following authenticateToken
+ */
+export const allowTwoFactorEnrollment = (req, res, next) => {
+  req.allowTwoFactorEnrollment = true;
+  next();
+};
+
+/**
+ * Middleware restricting a route to platform admins, who manage
+ * organizations across tenants
+ */
+export const requirePlatformAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required",
+    });
+  }
+
+  if (!req.user.isPlatformAdmin || req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "Platform admin access required",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware rejecting API keys on routes that manage interactive sessions
+ */
+export const denyApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint is not available to API keys",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory to require one or more permissions
+ * (see config/permissions.js for the role mapping)
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    // API keys only get what both their owner and their scopes allow
+    const missing = permissions.filter(
+      (permission) =>
+        !req.user.hasPermission(permission) ||
+        (req.apiKey && !req.apiKey.scopes.includes(permission))
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${missing.join(", ")}`,
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Generate JWT token
  */
-export const generateToken = (userId) => {
+export const generateToken = (userId, claims = {}) => {
+  return jwt.sign({ userId, ...claims }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenExpiresIn(),
+    issuer: TOKEN_ISSUER,
+    audience: USER_AUDIENCE,
+    jwtid: uuidv4(),
+  });
+};
+
+/**
+ * Generate agent-scoped JWT token (only accepted by authenticateAgent)
+ */
+export const generateAgentToken = (agentId) => {
+  return jwt.sign({ agentId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenExpiresIn(),
+    issuer: TOKEN_ISSUER,
+    audience: AGENT_AUDIENCE,
+    jwtid: uuidv4(),
+  });
+};
+
+/**
+ * Generate the short-lived token linking both steps of a 2FA login
+ */
+export const generateTwoFactorChallenge = (userId) => {
   return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-    issuer: "agent-management-system",
-    audience: "agent-management-users",
+    expiresIn: "5m",
+    issuer: TOKEN_ISSUER,
+    audience: TWO_FACTOR_AUDIENCE,
+  });
+};
+
+/**
+ * Verify a 2FA login challenge token (throws like jwt.verify)
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: TOKEN_ISSUER,
+    audience: TWO_FACTOR_AUDIENCE,
   });
 };
 
+/**
+ * Issue an access token plus a server-side refresh token for a user or agent
+ */
+export const createSession = async (subjectType, subjectId, req, family) => {
+  const token =
+    subjectType === "agent"
+      ? generateAgentToken(subjectId)
+      : generateToken(subjectId);
+
+  const { token: refreshToken } = await RefreshToken.issue(
+    subjectType,
+    subjectId,
+    { ip: req.ip, userAgent: req.headers["user-agent"] },
+    family
+  );
+
+  return { token, refreshToken, expiresIn: getAccessTokenExpiresIn() };
+};
+
+/**
+ * Revoke every access and refresh token of a user or agent
+ */
+export const revokeAllSessions = async (subjectType, subjectId) => {
+  const Model = subjectType === "agent" ? Agent : User;
+
+  await Promise.all([
+    Model.updateOne(
+      { _id: subjectId },
+      { $set: { sessionsRevokedAt: new Date() } }
+    ),
+    RefreshToken.revokeAllForSubject(subjectType, subjectId),
+  ]);
+};
+
+/**
+ * Middleware to authenticate agent JWT tokens
+ */
+export const authenticateAgent = async (req, res, next) => {
+  try {
+    const authHeader = req.headers["authorization"];
+    const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "Access token is required",
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: TOKEN_ISSUER,
+      audience: AGENT_AUDIENCE,
+    });
+
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked",
+      });
+    }
+
+    const agent = await Agent.findById(decoded.agentId).select("-password");
+    if (!agent) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token - agent not found",
+      });
+    }
+
+    if (!agent.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Account is deactivated",
+      });
+    }
+
+    if (isIssuedBeforeRevocation(decoded, agent)) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked",
+      });
+    }
+
+    if (!(await hasActiveOrganization(agent))) {
+      return res.status(403).json({
+        success: false,
+        message: "Organization is deactivated",
+      });
+    }
+
+    // Attach agent, tenant and token payload to request
+    req.agent = agent;
+    req.organizationId = agent.organization;
+    req.tokenPayload = decoded;
+    next();
+  } catch (error) {
+    console.error("Agent auth middleware error:", error.message);
+
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({
+        success: false,
+        message: "Token has expired",
+      });
+    }
+
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Authentication failed",
+    });
+  }
+};
+
 /**
  * Optional authentication - doesn't fail if token is missing
  */
@@ -104,11 +441,22 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(" ")[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: TOKEN_ISSUER,
+        audience: USER_AUDIENCE,
+      });
       const user = await User.findById(decoded.userId).select("-password");
 
-      if (user && user.isActive) {
+      if (
+        user &&
+        user.isActive &&
+        !decoded.twoFactorEnrollment &&
+        !isIssuedBeforeRevocation(decoded, user) &&
+        !(await RevokedToken.isRevoked(decoded.jti))
+      ) {
         req.user = user;
+        req.organizationId = user.organization;
+        req.tokenPayload = decoded;
       }
     }
 
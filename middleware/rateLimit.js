@@ -0,0 +1,56 @@
+/**
+ * Create an in-memory, fixed-window, per-IP rate limiter
+ */
+export const createRateLimiter = ({ windowMs, max, message }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set("Retry-After", Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({
+        success: false,
+        message,
+      });
+    }
+
+    next();
+  };
+};
+
+let loginLimiter;
+
+/**
+ * Throttle for the login endpoints (created on first use so .env is loaded)
+ */
+export const loginRateLimiter = (req, res, next) => {
+  if (!loginLimiter) {
+    loginLimiter = createRateLimiter({
+      windowMs:
+        (parseInt(process.env.LOGIN_RATE_WINDOW_MINUTES) || 15) * 60 * 1000,
+      max: parseInt(process.env.LOGIN_RATE_MAX) || 20,
+      message: "Too many login attempts from this IP. Please try again later.",
+    });
+  }
+
+  return loginLimiter(req, res, next);
+};
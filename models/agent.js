@@ -1,8 +1,15 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import loginLockout from "./plugins/loginLockout.js";
 
 const agentSchema = new mongoose.Schema(
   {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
     name: {
       type: String,
       required: [true, "Agent name is required"],
@@ -39,6 +46,19 @@ const agentSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Relative share of uploads under the "weighted" distribution strategy
+    distributionWeight: {
+      type: Number,
+      default: 1,
+      min: [0, "Distribution weight cannot be negative"],
+      max: [100, "Distribution weight cannot exceed 100"],
+    },
+    // Most pending items the agent may hold at once; null means no limit
+    maxOpenItems: {
+      type: Number,
+      default: null,
+      min: [0, "Maximum open items cannot be negative"],
+    },
     assignedListsCount: {
       type: Number,
       default: 0,
@@ -47,11 +67,23 @@ const agentSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    lastLogin: {
+      type: Date,
+    },
+    // Access tokens issued before this moment are rejected
+    sessionsRevokedAt: {
+      type: Date,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Set when the agent was created with an API key
+    createdViaApiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -66,10 +98,13 @@ const agentSchema = new mongoose.Schema(
   }
 );
 
+// Failed-login counters and temporary lockout
+agentSchema.plugin(loginLockout);
+
 // Indexes for better query performance
 agentSchema.index({ email: 1 });
 agentSchema.index({ mobile: 1 });
-agentSchema.index({ isActive: 1 });
+agentSchema.index({ organization: 1, isActive: 1 });
 agentSchema.index({ createdAt: -1 });
 
 // Hash password before saving
@@ -96,6 +131,12 @@ agentSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Instance method to update last login
+agentSchema.methods.updateLastLogin = function () {
+  this.lastLogin = new Date();
+  return this.save();
+};
+
 // Instance method to increment assigned lists count
 agentSchema.methods.incrementAssignedCount = function (itemsCount = 0) {
   this.assignedListsCount += 1;
@@ -115,15 +156,16 @@ agentSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
-// Static method to find active agents
-agentSchema.statics.findActiveAgents = function () {
-  return this.find({ isActive: true }).sort({ createdAt: 1 });
+// Static method to find active agents of an organization
+agentSchema.statics.findActiveAgents = function (organization) {
+  return this.find({ organization, isActive: true }).sort({ createdAt: 1 });
 };
 
-// Static method to get agent statistics
-agentSchema.statics.getAgentStats = async function () {
+// Static method to get agent statistics of an organization
+agentSchema.statics.getAgentStats = async function (organization) {
   try {
     const stats = await this.aggregate([
+      { $match: { organization } },
       {
         $group: {
           _id: null,
@@ -148,6 +190,20 @@ agentSchema.statics.getAgentStats = async function () {
   }
 };
 
+// Static method to adjust an agent's assignment counters atomically
+agentSchema.statics.adjustAssignedCounts = function (
+  agentId,
+  listsDelta,
+  itemsDelta
+) {
+  return this.updateOne(
+    { _id: agentId },
+    {
+      $inc: { assignedListsCount: listsDelta, totalItemsAssigned: itemsDelta },
+    }
+  );
+};
+
 // Validation for unique email
 agentSchema.pre("validate", async function (next) {
   if (this.isNew || this.isModified("email")) {
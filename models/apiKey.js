@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const KEY_PREFIX = "amk";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // Public part of the key, used to look it up
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+    },
+    // Permissions (see config/permissions.js) the key may use
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    // Requests made with the key act on behalf of this user
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+apiKeySchema.index({ createdBy: 1 });
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Instance method to check whether the key can be used
+apiKeySchema.methods.isUsable = function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// Instance method to record a request made with the key
+apiKeySchema.methods.recordUsage = function (ip) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastUsedAt: new Date(), lastUsedIp: ip },
+      $inc: { usageCount: 1 },
+    }
+  );
+};
+
+// Transform output (never expose the hash)
+apiKeySchema.methods.toJSON = function () {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.keyHash;
+  return apiKeyObject;
+};
+
+// Static method to check whether a raw credential looks like an API key
+apiKeySchema.statics.isApiKey = function (value) {
+  return typeof value === "string" && value.startsWith(`${KEY_PREFIX}_`);
+};
+
+// Static method to create a key; the raw key is returned only here
+apiKeySchema.statics.generate = async function (data) {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  const apiKey = await this.create({
+    ...data,
+    prefix,
+    keyHash: hashSecret(secret),
+  });
+
+  return { key: `${KEY_PREFIX}_${prefix}_${secret}`, apiKey };
+};
+
+// Static method to resolve a raw key; returns null unless valid and usable
+apiKeySchema.statics.authenticate = async function (rawKey) {
+  const [keyPrefix, prefix, secret] = String(rawKey).split("_");
+  if (keyPrefix !== KEY_PREFIX || !prefix || !secret) return null;
+
+  const apiKey = await this.findOne({ prefix });
+  if (!apiKey || !apiKey.isUsable()) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, "hex");
+  const actual = Buffer.from(hashSecret(secret), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+export const CUSTOM_FIELD_TYPES = ["text", "number", "date", "enum"];
+
+// Field defined by an organization for the extra columns of its uploads
+// (email, city, lead source…); values are stored typed on list items under
+// customFields.<key>
+const customFieldSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    key: {
+      type: String,
+      required: [true, "Field key is required"],
+      trim: true,
+      match: [
+        /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/,
+        "Key must start with a letter and contain only letters, digits and underscores (max 40)",
+      ],
+    },
+    label: {
+      type: String,
+      required: [true, "Field label is required"],
+      trim: true,
+      maxlength: [100, "Label cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: CUSTOM_FIELD_TYPES,
+      required: [true, "Field type is required"],
+    },
+    // Allowed values of enum fields
+    options: {
+      type: [{ type: String, trim: true, maxlength: 100 }],
+      default: undefined,
+    },
+    // Uploads must have a column for it, and every row a value
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Field keys are unique within an organization
+customFieldSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+// Enum fields need their allowed values
+customFieldSchema.pre("validate", function (next) {
+  if (this.type === "enum" && !this.options?.length) {
+    this.invalidate("options", "Enum fields need at least one option");
+  }
+  next();
+});
+
+// Static method to get an organization's fields in definition order
+customFieldSchema.statics.findForOrganization = function (organization) {
+  return this.find({ organization }).sort({ createdAt: 1 }).lean();
+};
+
+const CustomField = mongoose.model("CustomField", customFieldSchema);
+
+export default CustomField;
@@ -0,0 +1,234 @@
+import mongoose from "mongoose";
+
+export const JOB_STATUSES = [
+  "queued",
+  "running",
+  "completed",
+  "failed",
+  "cancelled",
+];
+
+// Background processing of an upload ("upload", also used for previews) or
+// of a confirmed preview ("confirm"). Jobs are claimed by the in-process
+// worker (services/jobQueue.js) with a lease that is renewed while they
+// run, so jobs of a crashed server are picked up again once it expires.
+const importJobSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["upload", "confirm"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+    // What the job is doing right now, e.g. "scanning", "distributing"
+    stage: {
+      type: String,
+      default: "queued",
+    },
+    // Upload the job writes; anything saved under it by an interrupted
+    // attempt is cleared before the job runs again
+    uploadId: {
+      type: String,
+      required: true,
+    },
+    // Uploaded file (kept until the job completes, so it can be retried)
+    filePath: {
+      type: String,
+    },
+    fileName: {
+      type: String,
+    },
+    originalFileName: {
+      type: String,
+    },
+    // Upload options (strategy, partial, duplicatePolicy, columnMapping…)
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    previewId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "UploadPreview",
+    },
+    progress: {
+      totalRows: { type: Number, default: 0 },
+      rowsScanned: { type: Number, default: 0 },
+      rowsProcessed: { type: Number, default: 0 },
+    },
+    // Response data of the finished upload (distribution summary, row
+    // errors, duplicates…)
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    message: {
+      type: String,
+    },
+    error: {
+      message: String,
+      details: mongoose.Schema.Types.Mixed,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Not picked up before this time (retry backoff)
+    runAfter: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    // Set once agent counters include what this job wrote
+    countersApplied: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdByEmail: {
+      type: String,
+    },
+    createdViaApiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+importJobSchema.index({ status: 1, runAfter: 1 });
+importJobSchema.index({ status: 1, lockedUntil: 1 });
+importJobSchema.index({ organization: 1, createdAt: -1 });
+importJobSchema.index({ finishedAt: 1 });
+
+// Static method to claim the next job that is due, or one whose worker
+// stopped renewing its lease with attempts left; returns null when there
+// is none
+importJobSchema.statics.claimNext = function (workerId, leaseMs, maxAttempts) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAfter: { $lte: now } },
+        {
+          status: "running",
+          lockedUntil: { $lt: now },
+          attempts: { $lt: maxAttempts },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAfter: 1 }, new: true }
+  );
+};
+
+// Static method to claim a job whose worker stopped renewing its lease on
+// the last allowed attempt, so it can be failed; returns null when there
+// is none
+importJobSchema.statics.claimAbandoned = function (
+  workerId,
+  leaseMs,
+  maxAttempts
+) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: "running",
+      lockedUntil: { $lt: now },
+      attempts: { $gte: maxAttempts },
+    },
+    {
+      $set: {
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        stage: "failing",
+      },
+    },
+    { new: true }
+  );
+};
+
+// Instance method to renew the lease and save progress; returns the
+// current job (with cancelRequested) or null if the lease was lost
+importJobSchema.methods.heartbeat = function (leaseMs, changes = {}) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, lockedBy: this.lockedBy, status: "running" },
+    {
+      $set: {
+        ...changes,
+        lockedUntil: new Date(Date.now() + leaseMs),
+      },
+    },
+    { new: true }
+  );
+};
+
+// Instance method to get the job as returned by the API
+importJobSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    type: this.type,
+    status: this.status,
+    stage: this.stage,
+    uploadId: this.uploadId,
+    originalFileName: this.originalFileName,
+    progress: this.progress,
+    attempts: this.attempts,
+    cancelRequested: this.cancelRequested,
+    message: this.message,
+    result: this.result,
+    error: this.error?.message ? this.error : undefined,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+  };
+};
+
+const ImportJob = mongoose.model("ImportJob", importJobSchema);
+
+export default ImportJob;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Phone number met by an import in progress, so its duplicates can be
+// tracked across the import's two passes without holding every number of
+// the file in memory
+const importPhoneSchema = new mongoose.Schema({
+  // Duplicate tracker the entry belongs to (one per import attempt)
+  trackerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  normalizedPhone: {
+    type: String,
+    required: true,
+  },
+  // Notes of the file's later rows with this number (merge policy)
+  repeatedNotes: {
+    type: String,
+    default: "",
+  },
+  // Newest list item of the organization with this number, if any
+  existing: {
+    listId: mongoose.Schema.Types.ObjectId,
+    itemId: mongoose.Schema.Types.ObjectId,
+  },
+  // Set once the second pass has handled the first row with this number
+  resolved: {
+    type: Boolean,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes for better query performance
+importPhoneSchema.index({ trackerId: 1, normalizedPhone: 1 }, { unique: true });
+// Entries of imports that never finished are removed by MongoDB
+importPhoneSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ImportPhone = mongoose.model("ImportPhone", importPhoneSchema);
+
+export default ImportPhone;
@@ -1,4 +1,121 @@
 import mongoose from "mongoose";
+import { normalizePhone } from "../utils/phone.js";
+import { createHttpError } from "../utils/httpError.js";
+
+// Allowed statuses for a list item
+export const ITEM_STATUSES = ["pending", "contacted", "completed", "failed"];
+
+// Most items one list holds. Items are embedded, so an agent's share of a
+// large upload is split into several lists to stay well under MongoDB's
+// 16MB document limit as items gather history.
+export const MAX_LIST_ITEMS = 2000;
+
+// Status changes allowed without an override reason ("contacted" again is
+// a repeated attempt); anything else, e.g. reopening a completed item,
+// needs one
+export const ITEM_STATUS_TRANSITIONS = {
+  pending: ["contacted", "completed", "failed"],
+  contacted: ["contacted", "completed", "failed"],
+  failed: ["contacted", "completed", "pending"],
+  completed: [],
+};
+
+// One status change of an item
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: ITEM_STATUSES,
+    },
+    to: {
+      type: String,
+      enum: ITEM_STATUSES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    actorType: {
+      type: String,
+      enum: ["user", "agent", "system"],
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    actorEmail: {
+      type: String,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    // Why a transition outside ITEM_STATUS_TRANSITIONS was forced
+    overrideReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Override reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Callback scheduled on an item
+const callbackSchema = new mongoose.Schema(
+  {
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Callback note cannot exceed 500 characters"],
+    },
+    scheduledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    scheduledByType: {
+      type: String,
+      enum: ["user", "agent", "system"],
+    },
+    scheduledById: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    scheduledByEmail: {
+      type: String,
+    },
+    // Set by the callback scheduler once the callback is overdue (and its
+    // notification sent)
+    overdueAt: {
+      type: Date,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Cell of an uploaded column that no field took, kept as text
+const extraColumnSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    value: {
+      type: String,
+      maxlength: [1000, "Column value cannot exceed 1000 characters"],
+    },
+  },
+  {
+    _id: false,
+  }
+);
 
 // Individual list item schema
 const listItemSchema = new mongoose.Schema(
@@ -15,23 +132,45 @@ const listItemSchema = new mongoose.Schema(
       trim: true,
       match: [/^[+]?[\d\s()-]+$/, "Please enter a valid phone number"],
     },
+    // Digits of the phone, used to detect duplicate leads (set on save)
+    normalizedPhone: {
+      type: String,
+    },
     notes: {
       type: String,
       trim: true,
       maxlength: [500, "Notes cannot exceed 500 characters"],
       default: "",
     },
+    // Values of the organization's custom fields, by key (see
+    // models/customField.js)
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Cells of the upload's columns that no field took, as text
+    extraColumns: {
+      type: [extraColumnSchema],
+      default: undefined,
+    },
     status: {
       type: String,
-      enum: ["pending", "contacted", "completed", "failed"],
+      enum: ITEM_STATUSES,
       default: "pending",
     },
     contactedAt: {
       type: Date,
     },
+    // Set when the item is completed; cleared when it is reopened
     completedAt: {
       type: Date,
     },
+    // Every status change, oldest first
+    statusHistory: [statusChangeSchema],
+    // Next callback; cleared when the item is completed or failed
+    callback: {
+      type: callbackSchema,
+      default: undefined,
+    },
   },
   {
     _id: true,
@@ -41,6 +180,12 @@ const listItemSchema = new mongoose.Schema(
 // Main list schema
 const listSchema = new mongoose.Schema(
   {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
     uploadId: {
       type: String,
       required: true,
@@ -73,11 +218,20 @@ const listSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Strategy used to split the upload between agents
+    distributionStrategy: {
+      type: String,
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Set when the upload was made with an API key
+    uploadedViaApiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
     distributedAt: {
       type: Date,
       default: Date.now,
@@ -94,11 +248,19 @@ const listSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 listSchema.index({ uploadId: 1, agentId: 1 });
+listSchema.index({ organization: 1, createdAt: -1 });
 listSchema.index({ agentId: 1, distributedAt: -1 });
 listSchema.index({ uploadedBy: 1 });
+listSchema.index({ organization: 1, "items.normalizedPhone": 1 });
+listSchema.index({ organization: 1, "items.callback.dueAt": 1 });
+// Used by the callback scheduler across organizations
+listSchema.index({ "items.callback.dueAt": 1 });
 
-// Pre-save middleware to update item counts
+// Pre-save middleware to update item counts and normalized phones
 listSchema.pre("save", function (next) {
+  this.items.forEach((item) => {
+    item.normalizedPhone = normalizePhone(item.phone);
+  });
   this.totalItems = this.items.length;
   this.completedItems = this.items.filter(
     (item) => item.status === "completed"
@@ -110,15 +272,47 @@ listSchema.pre("save", function (next) {
   next();
 });
 
-// Instance method to update item status
-listSchema.methods.updateItemStatus = function (
-  itemId,
+// Schedule (or with a null dueAt, clear) the callback of an item without
+// saving; throws a 400 error for invalid or past times
+const setItemCallback = (item, { dueAt, note }, actor = {}) => {
+  if (dueAt === null) {
+    item.callback = undefined;
+    return;
+  }
+
+  const due = new Date(dueAt);
+  if (!dueAt || Number.isNaN(due.getTime())) {
+    throw createHttpError("Invalid callback time", 400);
+  }
+  if (due <= new Date()) {
+    throw createHttpError("Callback time must be in the future", 400);
+  }
+
+  item.callback = {
+    dueAt: due,
+    note,
+    scheduledByType: actor.actorType,
+    scheduledById: actor.actorId,
+    scheduledByEmail: actor.actorEmail,
+  };
+};
+
+// Change the status of an item without saving, recording the change in
+// its history; transitions outside ITEM_STATUS_TRANSITIONS throw a 409
+// error unless an overrideReason is given
+const applyItemStatus = (
+  item,
   status,
-  additionalData = {}
-) {
-  const item = this.items.id(itemId);
-  if (!item) {
-    throw new Error("Item not found");
+  { actor, note, overrideReason, callback } = {}
+) => {
+  const from = item.status;
+  const allowed = ITEM_STATUS_TRANSITIONS[from] || [];
+  if (!allowed.includes(status) && !overrideReason) {
+    throw createHttpError(
+      `Cannot change status from ${from} to ${status} without an overrideReason`,
+      409,
+      { from, to: status, allowedTransitions: allowed }
+    );
   }
 
   item.status = status;
@@ -126,16 +320,113 @@ listSchema.methods.updateItemStatus = function (
   // Update timestamps based on status
   if (status === "contacted" && !item.contactedAt) {
     item.contactedAt = new Date();
-  } else if (status === "completed" && !item.completedAt) {
+  }
+  if (status === "completed" && from !== "completed") {
     item.completedAt = new Date();
+  } else if (status !== "completed") {
+    item.completedAt = undefined;
   }
 
+  item.statusHistory.push({
+    from,
+    to: status,
+    ...actor,
+    note,
+    overrideReason: allowed.includes(status) ? undefined : overrideReason,
+  });
+
+  // Finished items have nobody left to call back
+  if (status === "completed" || status === "failed") {
+    item.callback = undefined;
+  } else if (callback) {
+    setItemCallback(item, callback, actor);
+  }
+};
+
+// Instance method to update item status. change: { actor ({ actorType,
+// actorId, actorEmail }), note, overrideReason, callback ({ dueAt, note },
+// dueAt null to clear) }; see applyItemStatus for the allowed transitions.
+listSchema.methods.updateItemStatus = function (
+  itemId,
+  status,
+  additionalData = {},
+  change = {}
+) {
+  const item = this.items.id(itemId);
+  if (!item) {
+    throw new Error("Item not found");
+  }
+
+  applyItemStatus(item, status, change);
+
   // Apply any additional data
   Object.assign(item, additionalData);
 
   return this.save();
 };
 
+// Instance method to update the status (and notes, when given) of several
+// items with a single save (counters are recomputed once). Items that
+// can't change are skipped; returns one result per item ({ itemId,
+// success, from, to } or { itemId, success: false, message, details }).
+listSchema.methods.updateItemStatuses = async function (
+  itemIds,
+  status,
+  { actor, note, overrideReason, notes } = {}
+) {
+  const results = itemIds.map((itemId) => {
+    const item = this.items.id(itemId);
+    if (!item) {
+      return { itemId, success: false, message: "Item not found" };
+    }
+
+    const from = item.status;
+    try {
+      applyItemStatus(item, status, { actor, note, overrideReason });
+      if (notes) item.notes = notes;
+      return { itemId: item._id, success: true, from, to: status };
+    } catch (error) {
+      return {
+        itemId: item._id,
+        success: false,
+        message: error.message,
+        details: error.details,
+      };
+    }
+  });
+
+  if (results.some((result) => result.success)) {
+    await this.save();
+  }
+  return results;
+};
+
+// Instance method to schedule or clear (dueAt null) the callback of an
+// item
+listSchema.methods.scheduleItemCallback = function (
+  itemId,
+  { dueAt, note },
+  actor
+) {
+  const item = this.items.id(itemId);
+  if (!item) {
+    throw new Error("Item not found");
+  }
+
+  if (
+    dueAt !== null &&
+    (item.status === "completed" || item.status === "failed")
+  ) {
+    throw createHttpError(
+      `Cannot schedule a callback on a ${item.status} item`,
+      409
+    );
+  }
+
+  setItemCallback(item, { dueAt, note }, actor);
+  return this.save();
+};
+
 // Instance method to get completion percentage
 listSchema.methods.getCompletionPercentage = function () {
   if (this.totalItems === 0) return 0;
@@ -152,6 +443,10 @@ listSchema.statics.findByAgent = function (agentId, options = {}) {
     query.sort({ distributedAt: -1 });
   }
 
+  if (options.skip) {
+    query.skip(options.skip);
+  }
+
   if (options.limit) {
     query.limit(options.limit);
   }
@@ -160,25 +455,40 @@ listSchema.statics.findByAgent = function (agentId, options = {}) {
 };
 
 // Static method to find lists by upload ID
-listSchema.statics.findByUploadId = function (uploadId) {
-  return this.find({ uploadId })
+listSchema.statics.findByUploadId = function (uploadId, organization) {
+  return this.find({ uploadId, organization })
     .populate("agentId", "name email")
     .sort({ agentId: 1 });
 };
 
 // Static method to get distribution statistics
-listSchema.statics.getDistributionStats = async function (uploadId) {
+listSchema.statics.getDistributionStats = async function (
+  uploadId,
+  organization
+) {
   try {
+    // An agent's share can span several lists
     const stats = await this.aggregate([
-      { $match: { uploadId } },
+      { $match: { uploadId, organization } },
       {
         $group: {
           _id: null,
-          totalAgents: { $sum: 1 },
+          agents: { $addToSet: "$agentId" },
           totalItems: { $sum: "$totalItems" },
           totalCompleted: { $sum: "$completedItems" },
           totalPending: { $sum: "$pendingItems" },
-          avgItemsPerAgent: { $avg: "$totalItems" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          totalAgents: { $size: "$agents" },
+          totalItems: 1,
+          totalCompleted: 1,
+          totalPending: 1,
+          avgItemsPerAgent: {
+            $divide: ["$totalItems", { $size: "$agents" }],
+          },
         },
       },
     ]);
@@ -197,48 +507,44 @@ listSchema.statics.getDistributionStats = async function (uploadId) {
   }
 };
 
-// Static method to distribute items among agents
-listSchema.statics.distributeItems = async function (
-  items,
-  agents,
-  uploadData
-) {
-  try {
-    const distributions = [];
-    const itemsPerAgent = Math.floor(items.length / agents.length);
-    const remainder = items.length % agents.length;
-
-    let currentIndex = 0;
-
-    for (let i = 0; i < agents.length; i++) {
-      const agent = agents[i];
-      const itemCount = itemsPerAgent + (i < remainder ? 1 : 0);
-      const agentItems = items.slice(currentIndex, currentIndex + itemCount);
-
-      if (agentItems.length > 0) {
-        const listData = {
-          uploadId: uploadData.uploadId,
-          fileName: uploadData.fileName,
-          originalFileName: uploadData.originalFileName,
-          agentId: agent._id,
-          items: agentItems,
-          uploadedBy: uploadData.uploadedBy,
-        };
-
-        const list = new this(listData);
-        distributions.push(await list.save());
-
-        // Update agent's assigned count
-        await agent.incrementAssignedCount(agentItems.length);
-      }
+// Static method to get the pending items each agent currently holds
+listSchema.statics.getOpenLoads = async function (agentIds) {
+  const loads = await this.aggregate([
+    { $match: { agentId: { $in: agentIds } } },
+    { $group: { _id: "$agentId", pendingItems: { $sum: "$pendingItems" } } },
+  ]);
 
-      currentIndex += itemCount;
-    }
+  return new Map(loads.map((load) => [String(load._id), load.pendingItems]));
+};
 
-    return distributions;
-  } catch (error) {
-    throw error;
-  }
+// Static method to append a batch of items to a list without loading it
+// (for large imports); keeps the counters and normalized phones in step
+// with what the pre-save middleware would set
+listSchema.statics.appendItems = function (listId, items) {
+  const pending = items.filter(
+    (item) => (item.status || "pending") === "pending"
+  ).length;
+  const completed = items.filter((item) => item.status === "completed").length;
+
+  return this.updateOne(
+    { _id: listId },
+    {
+      $push: {
+        items: {
+          $each: items.map((item) => ({
+            ...item,
+            normalizedPhone: normalizePhone(item.phone),
+          })),
+        },
+      },
+      $inc: {
+        totalItems: items.length,
+        pendingItems: pending,
+        completedItems: completed,
+      },
+      $set: { lastUpdated: new Date() },
+    }
+  );
 };
 
 const List = mongoose.model("List", listSchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Named column mapping (field → file header) reused across imports
+const mappingPresetSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Preset name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    mapping: {
+      firstName: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      notes: { type: String, trim: true },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Preset names are unique within an organization
+mappingPresetSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+const MappingPreset = mongoose.model("MappingPreset", mappingPresetSchema);
+
+export default MappingPreset;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Tenant owning users, agents, lists and everything derived from them
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      minlength: [2, "Name must be at least 2 characters long"],
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug may only contain lowercase letters, numbers and dashes",
+      ],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to build a unique slug from a name
+organizationSchema.statics.generateSlug = async function (name) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "organization";
+
+  let slug = base;
+  let suffix = 1;
+  while (await this.exists({ slug })) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
+// Static method to create an organization from a name
+organizationSchema.statics.createWithName = async function (name, createdBy) {
+  const slug = await this.generateSlug(name);
+  return this.create({ name, slug, createdBy });
+};
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+export default Organization;
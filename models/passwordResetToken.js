@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    subjectType: {
+      type: String,
+      enum: ["user", "agent"],
+      required: true,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+passwordResetTokenSchema.index({ subjectType: 1, subjectId: 1 });
+// Expired tokens are removed by MongoDB automatically
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Static method to issue a reset token (returns the raw token once)
+passwordResetTokenSchema.statics.issue = async function (
+  subjectType,
+  subjectId,
+  ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+) {
+  // Only the most recent reset link stays valid
+  await this.deleteMany({ subjectType, subjectId, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await this.create({
+    tokenHash: hashToken(token),
+    subjectType,
+    subjectId,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Static method to mark a token as used; returns null if it is invalid,
+// expired or already used
+passwordResetTokenSchema.statics.consume = function (token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const PasswordResetToken = mongoose.model(
+  "PasswordResetToken",
+  passwordResetTokenSchema
+);
+
+export default PasswordResetToken;
@@ -0,0 +1,94 @@
+const LOCKOUT_FIELDS = ["failedLoginAttempts", "lockoutCount", "lockUntil"];
+
+// Copy lockout fields written by an atomic update onto a loaded document,
+// without marking them for a later save()
+const syncLockoutFields = (doc, source) => {
+  LOCKOUT_FIELDS.forEach((field) => {
+    doc.set(field, source[field]);
+    doc.unmarkModified(field);
+  });
+};
+
+/**
+ * Mongoose plugin adding failed-login tracking and temporary lockout with
+ * exponential backoff to an account schema (User, Agent)
+ */
+const loginLockout = (schema) => {
+  schema.add({
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Lockouts since the last successful login; drives the backoff
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+  });
+
+  // Instance method to check if the account is currently locked
+  schema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+  };
+
+  // Instance method to record a failed login; returns true if it locked
+  // the account. Both steps are atomic updates, so parallel failed logins
+  // all count and only one of them locks the account.
+  schema.methods.registerFailedLogin = async function () {
+    const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    const baseMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+    const maxMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 1440;
+    const Model = this.constructor;
+
+    const counted = await Model.findOneAndUpdate(
+      { _id: this._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    ).select(LOCKOUT_FIELDS);
+    if (!counted) return false;
+
+    syncLockoutFields(this, counted);
+    if (counted.failedLoginAttempts < maxAttempts) return false;
+
+    // 15, 30, 60, ... minutes, capped
+    const minutes = Math.min(
+      baseMinutes * 2 ** counted.lockoutCount,
+      maxMinutes
+    );
+
+    // Only the request still seeing this lockout count applies the lock
+    const locked = await Model.findOneAndUpdate(
+      {
+        _id: this._id,
+        // Accounts saved before lockouts existed have no count stored
+        lockoutCount: counted.lockoutCount || { $in: [0, null] },
+        failedLoginAttempts: { $gte: maxAttempts },
+      },
+      {
+        $set: {
+          lockUntil: new Date(Date.now() + minutes * 60 * 1000),
+          failedLoginAttempts: 0,
+        },
+        $inc: { lockoutCount: 1 },
+      },
+      { new: true }
+    ).select(LOCKOUT_FIELDS);
+    if (!locked) return false;
+
+    syncLockoutFields(this, locked);
+    return true;
+  };
+
+  // Instance method to clear failed attempts and any lock
+  schema.methods.resetLoginAttempts = function () {
+    this.failedLoginAttempts = 0;
+    this.lockoutCount = 0;
+    this.lockUntil = undefined;
+    return this.save();
+  };
+};
+
+export default loginLockout;
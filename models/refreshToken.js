@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    subjectType: {
+      type: String,
+      enum: ["user", "agent"],
+      required: true,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // All tokens rotated from the same login share a family
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+refreshTokenSchema.index({ subjectType: 1, subjectId: 1 });
+// Expired tokens are removed by MongoDB automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const getRefreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Static method to issue a new refresh token (returns the raw token once)
+refreshTokenSchema.statics.issue = async function (
+  subjectType,
+  subjectId,
+  meta = {},
+  family = uuidv4()
+) {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  const record = await this.create({
+    tokenHash: hashToken(token),
+    subjectType,
+    subjectId,
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent,
+  });
+
+  return { token, record };
+};
+
+// Static method to find a refresh token by its raw value
+refreshTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method to use up a refresh token so a new one can be issued
+// in its family (rotation)
+refreshTokenSchema.statics.consume = async function (token) {
+  const record = await this.findByToken(token);
+
+  if (!record || record.expiresAt <= new Date()) {
+    const error = new Error("Invalid or expired refresh token");
+    error.status = 401;
+    throw error;
+  }
+
+  // Atomic so two concurrent refreshes can't both succeed
+  const consumed = await this.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!consumed) {
+    // A revoked token being replayed means it leaked: kill the whole family
+    await this.revokeFamily(record.family);
+    const error = new Error("Refresh token reuse detected");
+    error.status = 401;
+    throw error;
+  }
+
+  return consumed;
+};
+
+// Static method to revoke a single refresh token by its raw value
+refreshTokenSchema.statics.revokeToken = function (token, filter = {}) {
+  return this.updateOne(
+    { ...filter, tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke every token of a family
+refreshTokenSchema.statics.revokeFamily = function (family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke every token of a user or agent
+refreshTokenSchema.statics.revokeAllForSubject = function (
+  subjectType,
+  subjectId
+) {
+  return this.updateMany(
+    { subjectType, subjectId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
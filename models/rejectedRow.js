@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+// Upload row skipped by a partial import, kept so it can be downloaded,
+// fixed and re-uploaded
+const rejectedRowSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    uploadId: {
+      type: String,
+      required: true,
+    },
+    // Row number in the original file (the header is row 1)
+    rowNumber: {
+      type: Number,
+      required: true,
+    },
+    // Sheet the row came from, when every sheet of a workbook was imported
+    sheet: {
+      type: String,
+    },
+    // Original cells, in the order of the file's headers
+    headers: [String],
+    values: [String],
+    issues: [
+      {
+        _id: false,
+        column: String,
+        reason: String,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for better query performance
+rejectedRowSchema.index({ organization: 1, uploadId: 1, rowNumber: 1 });
+// Old reports are removed by MongoDB automatically
+rejectedRowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get when rejected rows saved now expire
+rejectedRowSchema.statics.getExpiry = function (
+  ttlDays = parseInt(process.env.REJECTED_ROWS_TTL_DAYS) || 30
+) {
+  return new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+};
+
+// Static method to store a batch of rejected rows of an upload
+rejectedRowSchema.statics.saveForUpload = function (
+  { organization, uploadId },
+  headers,
+  rejectedRows,
+  expiresAt = this.getExpiry()
+) {
+  if (rejectedRows.length === 0) return Promise.resolve([]);
+
+  return this.insertMany(
+    rejectedRows.map(({ rowNumber, sheet, values, issues }) => ({
+      organization,
+      uploadId,
+      rowNumber,
+      sheet,
+      headers,
+      values,
+      issues,
+      expiresAt,
+    }))
+  );
+};
+
+// Static method to keep the rejected rows of a confirmed preview for the
+// full retention period
+rejectedRowSchema.statics.keepForUpload = function ({
+  organization,
+  uploadId,
+}) {
+  return this.updateMany(
+    { organization, uploadId },
+    { $set: { expiresAt: this.getExpiry() } }
+  );
+};
+
+const RejectedRow = mongoose.model("RejectedRow", rejectedRowSchema);
+
+export default RejectedRow;
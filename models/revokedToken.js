@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// Access tokens (by jti) that were revoked before their natural expiry
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    subjectType: {
+      type: String,
+      enum: ["user", "agent"],
+      required: true,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: "logout",
+    },
+    // Same as the token's own expiry; the entry is useless afterwards
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke an access token from its decoded payload
+revokedTokenSchema.statics.revoke = function (
+  payload,
+  subjectType,
+  subjectId,
+  reason = "logout"
+) {
+  return this.updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        jti: payload.jti,
+        subjectType,
+        subjectId,
+        reason,
+        expiresAt: new Date(payload.exp * 1000),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to check whether a jti has been revoked
+revokedTokenSchema.statics.isRevoked = async function (jti) {
+  if (!jti) return false;
+  return (await this.exists({ jti })) !== null;
+};
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+export default RevokedToken;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Account security events shown to admins (lockouts, unlocks)
+const securityEventSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["account_locked", "account_unlocked"],
+      required: true,
+    },
+    subjectType: {
+      type: String,
+      enum: ["user", "agent"],
+      required: true,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    email: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    // Admin who triggered the event (unlocks)
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lockUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+securityEventSchema.index({ organization: 1, createdAt: -1 });
+securityEventSchema.index({ subjectType: 1, subjectId: 1 });
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Organization-wide settings, one document per organization
+const settingSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      unique: true,
+    },
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to get an organization's settings (created with defaults)
+settingSchema.statics.getSettings = function (organization) {
+  return this.findOneAndUpdate(
+    { organization },
+    { $setOnInsert: { organization } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+export default Setting;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Row of a previewed upload waiting for confirmation: planned for an agent
+// (agentId), held back (no agentId) or merged into an existing item
+// (mergeInto)
+const stagedItemSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true,
+  },
+  uploadId: {
+    type: String,
+    required: true,
+  },
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Agent",
+  },
+  mergeInto: {
+    listId: mongoose.Schema.Types.ObjectId,
+    itemId: mongoose.Schema.Types.ObjectId,
+  },
+  firstName: String,
+  phone: String,
+  notes: String,
+  customFields: mongoose.Schema.Types.Mixed,
+  extraColumns: {
+    type: [{ _id: false, name: String, value: String }],
+    default: undefined,
+  },
+  // Same as the preview's, so unconfirmed rows go away with it
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes for better query performance
+stagedItemSchema.index({ organization: 1, uploadId: 1, _id: 1 });
+stagedItemSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StagedItem = mongoose.model("StagedItem", stagedItemSchema);
+
+export default StagedItem;
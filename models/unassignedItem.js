@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Uploaded rows no agent had capacity for, waiting to be assigned
+const unassignedItemSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    uploadId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    originalFileName: {
+      type: String,
+    },
+    firstName: {
+      type: String,
+      required: [true, "First name is required"],
+      trim: true,
+      maxlength: [100, "First name cannot exceed 100 characters"],
+    },
+    phone: {
+      type: String,
+      required: [true, "Phone number is required"],
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+      default: "",
+    },
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Cells of the upload's columns that no field took, as text
+    extraColumns: {
+      type: [{ _id: false, name: String, value: String }],
+      default: undefined,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+unassignedItemSchema.index({ organization: 1, createdAt: 1 });
+
+const UnassignedItem = mongoose.model("UnassignedItem", unassignedItemSchema);
+
+export default UnassignedItem;
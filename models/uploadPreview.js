@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Parsed and planned upload waiting for confirmation
+const uploadPreviewSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    originalFileName: {
+      type: String,
+      required: true,
+    },
+    distributionStrategy: {
+      type: String,
+      required: true,
+    },
+    // Upload ID the rows are staged under (see StagedItem) and kept on
+    // confirm
+    uploadId: {
+      type: String,
+      required: true,
+    },
+    // Agents the staged split was planned for
+    agentIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Agent",
+      },
+    ],
+    totalItems: {
+      type: Number,
+      default: 0,
+    },
+    duplicates: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Rows skipped by a partial import (saved as rejected rows)
+    rejectedRows: {
+      type: Number,
+      default: 0,
+    },
+    totalErrors: {
+      type: Number,
+      default: 0,
+    },
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        sheet: String,
+        column: String,
+        reason: String,
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdViaApiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the preview job has staged the split
+    readyAt: {
+      type: Date,
+    },
+    confirmedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Unconfirmed previews are removed by MongoDB automatically
+uploadPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Static method to store a preview (returns the raw confirm token once)
+uploadPreviewSchema.statics.issue = async function (
+  data,
+  ttlMinutes = parseInt(process.env.UPLOAD_PREVIEW_TTL_MINUTES) || 30
+) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  const preview = await this.create({
+    ...data,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return { token, preview };
+};
+
+// Static method to find an unexpired preview by its confirm token
+uploadPreviewSchema.statics.findByToken = function (token, organization) {
+  return this.findOne({
+    tokenHash: hashToken(String(token)),
+    organization,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Static method to claim a preview for confirmation; returns null if the
+// token is invalid, expired, already confirmed or still being processed
+uploadPreviewSchema.statics.consume = function (token, organization) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      organization,
+      readyAt: { $ne: null },
+      confirmedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { confirmedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const UploadPreview = mongoose.model("UploadPreview", uploadPreviewSchema);
+
+export default UploadPreview;
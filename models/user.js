@@ -1,8 +1,24 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import loginLockout from "./plugins/loginLockout.js";
+import { ROLES, getRolePermissions } from "../config/permissions.js";
+import { verifyTotpCode } from "../utils/totp.js";
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
 
 const userSchema = new mongoose.Schema(
   {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
     email: {
       type: String,
       required: [true, "Email is required"],
@@ -21,7 +37,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["admin", "user"],
+      enum: ROLES,
       default: "admin",
     },
     isActive: {
@@ -31,6 +47,44 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Platform admins manage organizations across tenants
+    isPlatformAdmin: {
+      type: Boolean,
+      default: false,
+    },
+    // Access tokens issued before this moment are rejected
+    sessionsRevokedAt: {
+      type: Date,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+      },
+      // Secret generated by setup, waiting for the first valid code
+      pendingSecret: {
+        type: String,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        default: [],
+      },
+      // Last accepted TOTP time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -45,6 +99,9 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Failed-login counters and temporary lockout
+userSchema.plugin(loginLockout);
+
 // Index for better query performance
 userSchema.index({ email: 1 });
 
@@ -78,10 +135,66 @@ userSchema.methods.updateLastLogin = function () {
   return this.save();
 };
 
-// Transform output (remove password from JSON responses)
+// Instance method to list the permissions granted by the user's role
+userSchema.methods.getPermissions = function () {
+  return getRolePermissions(this.role);
+};
+
+// Instance method to check a single permission
+userSchema.methods.hasPermission = function (permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Instance method to verify a TOTP code against the enabled secret
+// (or the pending one during enrollment); the caller saves the user
+userSchema.methods.verifyTwoFactorCode = function (code, { pending } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) return false;
+
+  const step = verifyTotpCode(secret, code);
+  if (step === null) return false;
+
+  if (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Instance method to generate fresh recovery codes (returned once in
+// plain text; only hashes are stored)
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Instance method to consume a recovery code; the caller saves the user
+userSchema.methods.useRecoveryCode = function (code) {
+  if (!code) return false;
+
+  const index = this.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code));
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Transform output (remove password and 2FA secrets from JSON responses)
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt,
+    };
+  }
   return userObject;
 };
 
@@ -90,8 +203,12 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
-// Static method to create admin user
-userSchema.statics.createAdmin = async function (email, password) {
+// Static method to create admin-side user (role defaults to admin)
+userSchema.statics.createAdmin = async function (
+  email,
+  password,
+  { organization, role = "admin", createdBy, isPlatformAdmin = false } = {}
+) {
   try {
     const existingUser = await this.findByEmail(email);
     if (existingUser) {
@@ -99,9 +216,12 @@ userSchema.statics.createAdmin = async function (email, password) {
     }
 
     const admin = new this({
+      organization,
       email,
       password,
-      role: "admin",
+      role,
+      createdBy,
+      isPlatformAdmin,
     });
 
     return await admin.save();
@@ -110,6 +230,14 @@ userSchema.statics.createAdmin = async function (email, password) {
   }
 };
 
+// Static method to count active admins of an organization, optionally
+// ignoring one user
+userSchema.statics.countActiveAdmins = function (organization, excludeId) {
+  const query = { organization, role: "admin", isActive: true };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.countDocuments(query);
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
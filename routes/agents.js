@@ -5,59 +5,77 @@ import {
   createAgent,
   updateAgent,
   deleteAgent,
+  resetAgentPassword,
   getAgentStats,
 } from "../controllers/agentController.js";
-import { authenticateToken, requireAdmin } from "../middleware/auth.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
-router.use(requireAdmin);
 
 /**
  * @route   GET /api/agents
  * @desc    Get all agents with pagination and search
- * @access  Private (Admin only)
+ * @access  Private (agents:read)
  * @query   page, limit, search, isActive
  */
-router.get("/", getAgents);
+router.get("/", requirePermission(PERMISSIONS.AGENTS_READ), getAgents);
 
 /**
  * @route   GET /api/agents/stats
  * @desc    Get agent statistics
- * @access  Private (Admin only)
+ * @access  Private (agents:read)
  */
-router.get("/stats", getAgentStats);
+router.get("/stats", requirePermission(PERMISSIONS.AGENTS_READ), getAgentStats);
 
 /**
  * @route   GET /api/agents/:id
  * @desc    Get single agent by ID
- * @access  Private (Admin only)
+ * @access  Private (agents:read)
  */
-router.get("/:id", getAgent);
+router.get("/:id", requirePermission(PERMISSIONS.AGENTS_READ), getAgent);
 
 /**
  * @route   POST /api/agents
  * @desc    Create new agent
- * @access  Private (Admin only)
- * @body    name, email, mobile, password
+ * @access  Private (agents:write)
+ * @body    name, email, mobile, password, distributionWeight (optional),
+ *          maxOpenItems (optional)
  */
-router.post("/", createAgent);
+router.post("/", requirePermission(PERMISSIONS.AGENTS_WRITE), createAgent);
 
 /**
  * @route   PUT /api/agents/:id
  * @desc    Update agent
- * @access  Private (Admin only)
- * @body    name, email, mobile, isActive
+ * @access  Private (agents:write)
+ * @body    name, email, mobile, isActive, distributionWeight, maxOpenItems
  */
-router.put("/:id", updateAgent);
+router.put("/:id", requirePermission(PERMISSIONS.AGENTS_WRITE), updateAgent);
+
+/**
+ * @route   POST /api/agents/:id/reset-password
+ * @desc    Reset agent password; without a password a reset link is emailed
+ * @access  Private (agents:write)
+ * @body    password (optional)
+ */
+router.post(
+  "/:id/reset-password",
+  requirePermission(PERMISSIONS.AGENTS_WRITE),
+  resetAgentPassword
+);
 
 /**
  * @route   DELETE /api/agents/:id
  * @desc    Delete agent
- * @access  Private (Admin only)
+ * @access  Private (agents:delete)
  */
-router.delete("/:id", deleteAgent);
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.AGENTS_DELETE),
+  deleteAgent
+);
 
 export default router;
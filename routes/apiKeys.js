@@ -0,0 +1,44 @@
+import express from "express";
+import {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/apiKeyController.js";
+import {
+  authenticateToken,
+  denyApiKey,
+  requirePermission,
+} from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(denyApiKey);
+router.use(requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Get API keys (without their secrets)
+ * @access  Private (api-keys:manage)
+ * @query   includeRevoked
+ */
+router.get("/", getApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key; the key is only shown in this response
+ * @access  Private (api-keys:manage)
+ * @body    name, scopes, expiresInDays (optional)
+ */
+router.post("/", createApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api-keys:manage)
+ */
+router.delete("/:id", revokeApiKey);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  getAuditLogs,
+  exportAuditLogs,
+} from "../controllers/auditController.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requirePermission(PERMISSIONS.AUDIT_READ));
+
+/**
+ * @route   GET /api/audit
+ * @desc    Get audit log entries
+ * @access  Private (audit:read)
+ * @query   page, limit, actorType, actorId, apiKey, action, targetType,
+ *          targetId, from, to
+ */
+router.get("/", getAuditLogs);
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Export audit log entries as CSV
+ * @access  Private (audit:read)
+ * @query   actorType, actorId, apiKey, action, targetType, targetId, from, to
+ */
+router.get("/export", exportAuditLogs);
+
+export default router;
@@ -1,12 +1,38 @@
 import express from "express";
 import {
   login,
+  verifyTwoFactorLogin,
+  agentLogin,
   getProfile,
+  refreshSession,
   logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword,
   verifyToken,
+  getRoles,
   createAdmin,
 } from "../controllers/authController.js";
-import { authenticateToken, requireAdmin } from "../middleware/auth.js";
+import {
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
+import {
+  unlockAccount,
+  getSecurityEvents,
+} from "../controllers/securityController.js";
+import {
+  authenticateToken,
+  authenticateAgent,
+  allowTwoFactorEnrollment,
+  denyApiKey,
+  requirePermission,
+} from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { loginRateLimiter } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
@@ -15,14 +41,140 @@ const router = express.Router();
  * @desc    Admin login
  * @access  Public
  */
-router.post("/login", login);
+router.post("/login", loginRateLimiter, login);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step when 2FA is enabled
+ * @access  Public
+ * @body    challengeToken, code | recoveryCode
+ */
+router.post("/login/2fa", loginRateLimiter, verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/agent/login
+ * @desc    Agent login (token only valid for /api/portal)
+ * @access  Public
+ */
+router.post("/agent/login", loginRateLimiter, agentLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair (admins and agents)
+ * @access  Public
+ * @body    refreshToken
+ */
+router.post("/refresh", refreshSession);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Admin logout
+ * @desc    Admin logout (revokes current access token and given refresh token)
+ * @access  Private
+ * @body    refreshToken (optional)
+ */
+router.post("/logout", authenticateToken, denyApiKey, logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the logged-in admin
+ * @access  Private
+ */
+router.post("/logout-all", authenticateToken, denyApiKey, logoutAll);
+
+/**
+ * @route   POST /api/auth/agent/logout
+ * @desc    Agent logout (revokes current access token and given refresh token)
+ * @access  Private (Agent)
+ * @body    refreshToken (optional)
+ */
+router.post("/agent/logout", authenticateAgent, logout);
+
+/**
+ * @route   POST /api/auth/agent/logout-all
+ * @desc    Revoke every session of the logged-in agent
+ * @access  Private (Agent)
+ */
+router.post("/agent/logout-all", authenticateAgent, logoutAll);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password of the logged-in admin (signs out other sessions)
  * @access  Private
+ * @body    currentPassword, newPassword
+ */
+router.post("/change-password", authenticateToken, denyApiKey, changePassword);
+
+/**
+ * @route   POST /api/auth/agent/change-password
+ * @desc    Change password of the logged-in agent (signs out other sessions)
+ * @access  Private (Agent)
+ * @body    currentPassword, newPassword
  */
-router.post("/logout", authenticateToken, logout);
+router.post("/agent/change-password", authenticateAgent, changePassword);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment (returns secret and otpauth URI for the QR)
+ * @access  Private (also with an enrollment-only token)
+ */
+router.post(
+  "/2fa/setup",
+  allowTwoFactorEnrollment,
+  authenticateToken,
+  denyApiKey,
+  setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm TOTP enrollment with a code; returns recovery codes
+ * @access  Private (also with an enrollment-only token)
+ * @body    code
+ */
+router.post(
+  "/2fa/verify",
+  allowTwoFactorEnrollment,
+  authenticateToken,
+  denyApiKey,
+  verifyTwoFactorSetup
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ * @body    password, code
+ */
+router.post("/2fa/disable", authenticateToken, denyApiKey, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes
+ * @access  Private
+ * @body    code
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  denyApiKey,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ * @body    email, accountType (user | agent, default user)
+ */
+router.post("/forgot-password", forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ * @body    token, password
+ */
+router.post("/reset-password", resetPassword);
 
 /**
  * @route   GET /api/auth/profile
@@ -38,6 +190,44 @@ router.get("/profile", authenticateToken, getProfile);
  */
 router.get("/verify", authenticateToken, verifyToken);
 
+/**
+ * @route   GET /api/auth/roles
+ * @desc    List roles and the permissions each one grants
+ * @access  Private (users:read)
+ */
+router.get(
+  "/roles",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_READ),
+  getRoles
+);
+
+/**
+ * @route   POST /api/auth/unlock
+ * @desc    Unlock an account locked after failed logins
+ * @access  Private (security:manage)
+ * @body    accountType (user | agent), id
+ */
+router.post(
+  "/unlock",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SECURITY_MANAGE),
+  unlockAccount
+);
+
+/**
+ * @route   GET /api/auth/security-events
+ * @desc    Get account lockout and unlock events
+ * @access  Private (security:read)
+ * @query   page, limit, type, subjectType, subjectId
+ */
+router.get(
+  "/security-events",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SECURITY_READ),
+  getSecurityEvents
+);
+
 /**
  * @route   POST /api/auth/create-admin
  * @desc    Create initial admin user (for setup only)
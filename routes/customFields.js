@@ -0,0 +1,59 @@
+import express from "express";
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+} from "../controllers/customFieldController.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/custom-fields
+ * @desc    Get the organization's custom fields
+ * @access  Private (lists:read)
+ */
+router.get("/", requirePermission(PERMISSIONS.LISTS_READ), getCustomFields);
+
+/**
+ * @route   POST /api/custom-fields
+ * @desc    Define a custom field stored on imported list items
+ * @access  Private (settings:manage)
+ * @body    key, label, type (text, number, date, enum), options (enum
+ *          values), required
+ */
+router.post(
+  "/",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  createCustomField
+);
+
+/**
+ * @route   PUT /api/custom-fields/:id
+ * @desc    Update a custom field (key and type are fixed)
+ * @access  Private (settings:manage)
+ * @body    label, options, required
+ */
+router.put(
+  "/:id",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  updateCustomField
+);
+
+/**
+ * @route   DELETE /api/custom-fields/:id
+ * @desc    Delete a custom field
+ * @access  Private (settings:manage)
+ */
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  deleteCustomField
+);
+
+export default router;
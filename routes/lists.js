@@ -1,87 +1,328 @@
 import express from "express";
 import {
   uploadAndDistribute,
+  confirmUpload,
   getAgentLists,
   getDistributions,
   updateItemStatus,
+  bulkUpdateItemStatus,
+  getItem,
+  scheduleItemCallback,
+  getCallbacks,
   getList,
   deleteList,
   getDashboardStats,
   getAllDistributions, // Add this new function
+  getUnassignedItems,
+  downloadRejectedRows,
+  exportList,
+  exportUpload,
+  exportAgentAssignments,
+  getImportJob,
+  cancelImportJob,
+  retryImportJob,
+  reassignList,
+  rebalanceUpload,
 } from "../controllers/listController.js";
-import { authenticateToken, requireAdmin } from "../middleware/auth.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
 import upload, { handleMulterError } from "../config/multer.js";
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
-router.use(requireAdmin);
 
 /**
  * @route   POST /api/lists/upload
- * @desc    Upload CSV/Excel file and distribute among agents
- * @access  Private (Admin only)
- * @form    file (csv, xlsx, xls)
+ * @desc    Upload a list file and queue its distribution among agents
+ * @access  Private (lists:upload)
+ * @form    file (csv, tsv, json, xlsx, xls, ods), strategy (round-robin, random, weighted,
+ *          least-loaded; default round-robin), preview (true to dry-run),
+ *          partial (true to skip invalid rows instead of failing),
+ *          duplicatePolicy (keep, skip, merge; default keep),
+ *          mappingPreset (preset name), columnMapping (JSON field → header),
+ *          sheet (sheet name; default the first), allSheets (true to import
+ *          every sheet)
  */
 router.post(
   "/upload",
+  requirePermission(PERMISSIONS.LISTS_UPLOAD),
   upload.single("file"),
   handleMulterError,
   uploadAndDistribute
 );
 
+/**
+ * @route   POST /api/lists/upload/confirm
+ * @desc    Queue the commit of a previewed upload exactly as previewed
+ * @access  Private (lists:upload)
+ * @body    confirmToken
+ */
+router.post(
+  "/upload/confirm",
+  requirePermission(PERMISSIONS.LISTS_UPLOAD),
+  confirmUpload
+);
+
+/**
+ * @route   GET /api/lists/jobs/:jobId
+ * @desc    Get the stage, progress, errors and result of an upload job
+ * @access  Private (lists:read)
+ */
+router.get(
+  "/jobs/:jobId",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getImportJob
+);
+
+/**
+ * @route   POST /api/lists/jobs/:jobId/cancel
+ * @desc    Cancel a queued or running upload job
+ * @access  Private (lists:upload)
+ */
+router.post(
+  "/jobs/:jobId/cancel",
+  requirePermission(PERMISSIONS.LISTS_UPLOAD),
+  cancelImportJob
+);
+
+/**
+ * @route   POST /api/lists/jobs/:jobId/retry
+ * @desc    Run a failed or cancelled upload job again
+ * @access  Private (lists:upload)
+ */
+router.post(
+  "/jobs/:jobId/retry",
+  requirePermission(PERMISSIONS.LISTS_UPLOAD),
+  retryImportJob
+);
+
 /**
  * @route   GET /api/lists/dashboard-stats
  * @desc    Get dashboard statistics
- * @access  Private (Admin only)
+ * @access  Private (lists:read)
  */
-router.get("/dashboard-stats", getDashboardStats);
+router.get(
+  "/dashboard-stats",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getDashboardStats
+);
 
 /**
  * @route   GET /api/lists/distributions
  * @desc    Get all distributions/uploads with summary stats
- * @access  Private (Admin only)
+ * @access  Private (lists:read)
  * @query   page, limit, status
  */
-router.get("/distributions", getAllDistributions);
+router.get(
+  "/distributions",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getAllDistributions
+);
+
+/**
+ * @route   GET /api/lists/unassigned
+ * @desc    Get rows held back because all agents were at capacity
+ * @access  Private (lists:read)
+ * @query   page, limit, uploadId
+ */
+router.get(
+  "/unassigned",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getUnassignedItems
+);
+
+/**
+ * @route   GET /api/lists/callbacks
+ * @desc    Get due and overdue callbacks across the organization, soonest first
+ * @access  Private (lists:read)
+ * @query   filter (all, due, overdue; default all), within (hours ahead
+ *          counted as due; default 24), agentId, page, limit
+ */
+router.get(
+  "/callbacks",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getCallbacks
+);
 
 /**
  * @route   GET /api/lists/agent/:agentId
  * @desc    Get lists assigned to specific agent
- * @access  Private (Admin only)
+ * @access  Private (lists:read)
  * @query   page, limit
  */
-router.get("/agent/:agentId", getAgentLists);
+router.get(
+  "/agent/:agentId",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getAgentLists
+);
+
+/**
+ * @route   GET /api/lists/agent/:agentId/export
+ * @desc    Download every item assigned to an agent as CSV or XLSX
+ * @access  Private (lists:read)
+ * @query   format (csv, xlsx; default csv), status, cf.<key>, cf.<key>.min,
+ *          cf.<key>.max (custom field filters)
+ */
+router.get(
+  "/agent/:agentId/export",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  exportAgentAssignments
+);
+
+/**
+ * @route   GET /api/lists/agent/:agentId/callbacks
+ * @desc    Get an agent's due and overdue callbacks, soonest first
+ * @access  Private (lists:read)
+ * @query   filter (all, due, overdue; default all), within, page, limit
+ */
+router.get(
+  "/agent/:agentId/callbacks",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getCallbacks
+);
 
 /**
  * @route   GET /api/lists/upload/:uploadId
  * @desc    Get all distributions for a specific upload
- * @access  Private (Admin only)
+ * @access  Private (lists:read)
  */
-router.get("/upload/:uploadId", getDistributions);
+router.get(
+  "/upload/:uploadId",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getDistributions
+);
+
+/**
+ * @route   GET /api/lists/upload/:uploadId/rejected-rows
+ * @desc    Download the rows a partial import skipped, with their errors, as CSV
+ * @access  Private (lists:read)
+ */
+router.get(
+  "/upload/:uploadId/rejected-rows",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  downloadRejectedRows
+);
+
+/**
+ * @route   GET /api/lists/upload/:uploadId/export
+ * @desc    Download the items of every list of an upload as CSV or XLSX
+ * @access  Private (lists:read)
+ * @query   format (csv, xlsx; default csv), status, cf.<key>, cf.<key>.min,
+ *          cf.<key>.max (custom field filters)
+ */
+router.get(
+  "/upload/:uploadId/export",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  exportUpload
+);
+
+/**
+ * @route   POST /api/lists/upload/:uploadId/rebalance
+ * @desc    Redistribute the pending items of an upload across active agents
+ * @access  Private (lists:reassign)
+ * @body    strategy (optional)
+ */
+router.post(
+  "/upload/:uploadId/rebalance",
+  requirePermission(PERMISSIONS.LISTS_REASSIGN),
+  rebalanceUpload
+);
+
+/**
+ * @route   PUT /api/lists/items/status
+ * @desc    Update the status of many items at once
+ * @access  Private (lists:update)
+ * @body    status, note, notes, overrideReason, and either itemIds (up to
+ *          1000) or filter ({ listId, uploadId, agentId, status, "cf.<key>" })
+ */
+router.put(
+  "/items/status",
+  requirePermission(PERMISSIONS.LISTS_UPDATE),
+  bulkUpdateItemStatus
+);
 
 /**
  * @route   GET /api/lists/:listId
  * @desc    Get single list with all items
- * @access  Private (Admin only)
- * @query   page, limit, status
+ * @access  Private (lists:read)
+ * @query   page, limit, status, cf.<key>, cf.<key>.min, cf.<key>.max
+ *          (custom field filters)
  */
-router.get("/:listId", getList);
+router.get("/:listId", requirePermission(PERMISSIONS.LISTS_READ), getList);
+
+/**
+ * @route   GET /api/lists/:listId/export
+ * @desc    Download the items of a list as CSV or XLSX
+ * @access  Private (lists:read)
+ * @query   format (csv, xlsx; default csv), status, cf.<key>, cf.<key>.min,
+ *          cf.<key>.max (custom field filters)
+ */
+router.get(
+  "/:listId/export",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  exportList
+);
+
+/**
+ * @route   GET /api/lists/:listId/items/:itemId
+ * @desc    Get an item with its status history and allowed transitions
+ * @access  Private (lists:read)
+ */
+router.get(
+  "/:listId/items/:itemId",
+  requirePermission(PERMISSIONS.LISTS_READ),
+  getItem
+);
 
 /**
  * @route   PUT /api/lists/:listId/items/:itemId
- * @desc    Update item status in a list
- * @access  Private (Admin only)
- * @body    status, notes
+ * @desc    Update item status in a list, recording it in the item's history
+ * @access  Private (lists:update)
+ * @body    status, notes, note (kept with the status change),
+ *          overrideReason (required for transitions that aren't allowed),
+ *          callbackAt, callbackNote (schedule a callback at the same time)
  */
-router.put("/:listId/items/:itemId", updateItemStatus);
+router.put(
+  "/:listId/items/:itemId",
+  requirePermission(PERMISSIONS.LISTS_UPDATE),
+  updateItemStatus
+);
+
+/**
+ * @route   PUT /api/lists/:listId/items/:itemId/callback
+ * @desc    Schedule or clear the callback of an item
+ * @access  Private (lists:update)
+ * @body    dueAt (ISO date-time, null to clear), note
+ */
+router.put(
+  "/:listId/items/:itemId/callback",
+  requirePermission(PERMISSIONS.LISTS_UPDATE),
+  scheduleItemCallback
+);
+
+/**
+ * @route   POST /api/lists/:listId/reassign
+ * @desc    Move a list, or selected items of it, to another agent
+ * @access  Private (lists:reassign)
+ * @body    toAgentId, itemIds (optional; whole list when omitted)
+ */
+router.post(
+  "/:listId/reassign",
+  requirePermission(PERMISSIONS.LISTS_REASSIGN),
+  reassignList
+);
 
 /**
  * @route   DELETE /api/lists/:listId
  * @desc    Delete a list/distribution
- * @access  Private (Admin only)
+ * @access  Private (lists:delete)
  */
-router.delete("/:listId", deleteList);
+router.delete(
+  "/:listId",
+  requirePermission(PERMISSIONS.LISTS_DELETE),
+  deleteList
+);
 
 export default router;
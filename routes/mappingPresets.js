@@ -0,0 +1,47 @@
+import express from "express";
+import {
+  getMappingPresets,
+  createMappingPreset,
+  updateMappingPreset,
+  deleteMappingPreset,
+} from "../controllers/mappingPresetController.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requirePermission(PERMISSIONS.LISTS_UPLOAD));
+
+/**
+ * @route   GET /api/mapping-presets
+ * @desc    Get saved column mapping presets
+ * @access  Private (lists:upload)
+ */
+router.get("/", getMappingPresets);
+
+/**
+ * @route   POST /api/mapping-presets
+ * @desc    Save a named column mapping
+ * @access  Private (lists:upload)
+ * @body    name, mapping ({ firstName, phone, notes } → column headers)
+ */
+router.post("/", createMappingPreset);
+
+/**
+ * @route   PUT /api/mapping-presets/:id
+ * @desc    Update a column mapping preset
+ * @access  Private (lists:upload)
+ * @body    name, mapping
+ */
+router.put("/:id", updateMappingPreset);
+
+/**
+ * @route   DELETE /api/mapping-presets/:id
+ * @desc    Delete a column mapping preset
+ * @access  Private (lists:upload)
+ */
+router.delete("/:id", deleteMappingPreset);
+
+export default router;
@@ -0,0 +1,64 @@
+import express from "express";
+import {
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+} from "../controllers/organizationController.js";
+import {
+  authenticateToken,
+  requirePermission,
+  requirePlatformAdmin,
+} from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/organizations/current
+ * @desc    Get the organization of the authenticated user
+ * @access  Private
+ */
+router.get("/current", getCurrentOrganization);
+
+/**
+ * @route   PUT /api/organizations/current
+ * @desc    Rename the organization of the authenticated user
+ * @access  Private (organization:manage)
+ * @body    name
+ */
+router.put(
+  "/current",
+  requirePermission(PERMISSIONS.ORGANIZATION_MANAGE),
+  updateCurrentOrganization
+);
+
+/**
+ * @route   GET /api/organizations
+ * @desc    Get all organizations
+ * @access  Private (platform admin)
+ * @query   page, limit, search, isActive
+ */
+router.get("/", requirePlatformAdmin, getOrganizations);
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization with its first admin user
+ * @access  Private (platform admin)
+ * @body    name, adminEmail, adminPassword
+ */
+router.post("/", requirePlatformAdmin, createOrganization);
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Rename or (de)activate an organization
+ * @access  Private (platform admin)
+ * @body    name, isActive
+ */
+router.put("/:id", requirePlatformAdmin, updateOrganization);
+
+export default router;
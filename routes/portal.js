@@ -0,0 +1,75 @@
+import express from "express";
+import {
+  getMyProfile,
+  getMyLists,
+  getMyList,
+  getMyItem,
+  getMyCallbacks,
+  scheduleMyCallback,
+  updateMyItemStatus,
+} from "../controllers/portalController.js";
+import { authenticateAgent } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Apply agent authentication middleware to all routes
+router.use(authenticateAgent);
+
+/**
+ * @route   GET /api/portal/profile
+ * @desc    Get logged-in agent profile
+ * @access  Private (Agent)
+ */
+router.get("/profile", getMyProfile);
+
+/**
+ * @route   GET /api/portal/lists
+ * @desc    Get lists assigned to the logged-in agent (without items)
+ * @access  Private (Agent)
+ * @query   page, limit
+ */
+router.get("/lists", getMyLists);
+
+/**
+ * @route   GET /api/portal/lists/:listId
+ * @desc    Get one of the agent's lists with its items
+ * @access  Private (Agent)
+ * @query   page, limit, status, cf.<key>, cf.<key>.min, cf.<key>.max
+ *          (custom field filters)
+ */
+router.get("/lists/:listId", getMyList);
+
+/**
+ * @route   GET /api/portal/lists/:listId/items/:itemId
+ * @desc    Get an item of one of the agent's lists with its status history
+ * @access  Private (Agent)
+ */
+router.get("/lists/:listId/items/:itemId", getMyItem);
+
+/**
+ * @route   PUT /api/portal/lists/:listId/items/:itemId
+ * @desc    Update status of an item in one of the agent's lists
+ * @access  Private (Agent)
+ * @body    status, notes, note (kept with the status change),
+ *          overrideReason (required for transitions that aren't allowed),
+ *          callbackAt, callbackNote (schedule a callback at the same time)
+ */
+router.put("/lists/:listId/items/:itemId", updateMyItemStatus);
+
+/**
+ * @route   PUT /api/portal/lists/:listId/items/:itemId/callback
+ * @desc    Schedule or clear the callback of an item in one of the agent's lists
+ * @access  Private (Agent)
+ * @body    dueAt (ISO date-time, null to clear), note
+ */
+router.put("/lists/:listId/items/:itemId/callback", scheduleMyCallback);
+
+/**
+ * @route   GET /api/portal/callbacks
+ * @desc    Get the agent's due and overdue callbacks, soonest first
+ * @access  Private (Agent)
+ * @query   filter (all, due, overdue; default all), within, page, limit
+ */
+router.get("/callbacks", getMyCallbacks);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getSettings,
+  updateSettings,
+} from "../controllers/settingsController.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requirePermission(PERMISSIONS.SETTINGS_MANAGE));
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get organization-wide settings
+ * @access  Private (settings:manage)
+ */
+router.get("/", getSettings);
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update organization-wide settings
+ * @access  Private (settings:manage)
+ * @body    requireAdminTwoFactor
+ */
+router.put("/", updateSettings);
+
+export default router;
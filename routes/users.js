@@ -0,0 +1,55 @@
+import express from "express";
+import {
+  getUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+} from "../controllers/userController.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/users
+ * @desc    Get all admin-side users with pagination and search
+ * @access  Private (users:read)
+ * @query   page, limit, search, role, isActive
+ */
+router.get("/", requirePermission(PERMISSIONS.USERS_READ), getUsers);
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get single user by ID
+ * @access  Private (users:read)
+ */
+router.get("/:id", requirePermission(PERMISSIONS.USERS_READ), getUser);
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a user; without a password an invite link is emailed
+ * @access  Private (users:write)
+ * @body    email, role, password (optional)
+ */
+router.post("/", requirePermission(PERMISSIONS.USERS_WRITE), createUser);
+
+/**
+ * @route   PUT /api/users/:id
+ * @desc    Update user role or active state
+ * @access  Private (users:write)
+ * @body    role, isActive (boolean)
+ */
+router.put("/:id", requirePermission(PERMISSIONS.USERS_WRITE), updateUser);
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Delete user
+ * @access  Private (users:write)
+ */
+router.delete("/:id", requirePermission(PERMISSIONS.USERS_WRITE), deleteUser);
+
+export default router;
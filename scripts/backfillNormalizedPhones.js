@@ -0,0 +1,47 @@
+/**
+ * One-off backfill of the normalized phone used for duplicate detection on
+ * list items saved before it existed. Lists get it on their next save
+ * anyway; this makes older items count as duplicates right away.
+ *
+ * Usage: npm run backfill:phones
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import List from "../models/list.js";
+
+dotenv.config();
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = List.find({
+    "items.0": { $exists: true },
+    "items.normalizedPhone": { $exists: false },
+  }).cursor();
+
+  let updated = 0;
+  let failed = 0;
+  for await (const list of cursor) {
+    // The pre-save hook fills in normalizedPhone
+    try {
+      await list.save();
+      updated++;
+    } catch (error) {
+      console.error(`List ${list._id} skipped: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`List: ${updated} updated, ${failed} skipped`);
+};
+
+backfill()
+  .then(() => {
+    console.log("Phone backfill complete");
+    return mongoose.disconnect();
+  })
+  .catch(async (error) => {
+    console.error("Phone backfill failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
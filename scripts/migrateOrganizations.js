@@ -0,0 +1,79 @@
+/**
+ * One-off migration to multi-tenancy: creates a default organization and
+ * assigns it to every document created before organizations existed.
+ *
+ * Usage: npm run migrate:organizations -- ["Organization name"]
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Organization from "../models/organization.js";
+import User from "../models/user.js";
+import Agent from "../models/agent.js";
+import List from "../models/list.js";
+import ApiKey from "../models/apiKey.js";
+import AuditLog from "../models/auditLog.js";
+import SecurityEvent from "../models/securityEvent.js";
+import Setting from "../models/setting.js";
+
+dotenv.config();
+
+const TENANT_MODELS = [User, Agent, List, ApiKey, AuditLog, SecurityEvent];
+
+const migrate = async (organizationName) => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const unscoped = { organization: { $exists: false } };
+
+  let organization = await Organization.findOne().sort({ createdAt: 1 });
+  if (!organization) {
+    const firstAdmin = await User.findOne({ role: "admin" }).sort({
+      createdAt: 1,
+    });
+    organization = await Organization.createWithName(
+      organizationName,
+      firstAdmin?._id
+    );
+    console.log(`Created organization "${organization.name}"`);
+
+    // The original admin keeps managing the whole platform
+    if (firstAdmin) {
+      await User.updateOne(
+        { _id: firstAdmin._id },
+        { $set: { isPlatformAdmin: true } }
+      );
+    }
+  }
+
+  // Native collection updates: skips hooks (the audit log is immutable
+  // through the model) and validation of unrelated legacy fields
+  for (const Model of TENANT_MODELS) {
+    const result = await Model.collection.updateMany(unscoped, {
+      $set: { organization: organization._id },
+    });
+    console.log(`${Model.modelName}: ${result.modifiedCount} updated`);
+  }
+
+  // Settings used to be a single document keyed "global"
+  const indexes = await Setting.collection.indexes().catch(() => []);
+  if (indexes.some((index) => index.name === "key_1")) {
+    await Setting.collection.dropIndex("key_1");
+  }
+  const settingsResult = await Setting.collection.updateMany(unscoped, {
+    $set: { organization: organization._id },
+    $unset: { key: "" },
+  });
+  console.log(`Setting: ${settingsResult.modifiedCount} updated`);
+
+  await Setting.syncIndexes();
+};
+
+migrate(process.argv[2] || "Default Organization")
+  .then(() => {
+    console.log("Organization migration complete");
+    return mongoose.disconnect();
+  })
+  .catch(async (error) => {
+    console.error("Organization migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -1,42 +1,55 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import path from "path";
-import { fileURLToPath } from "url";
 import connectDatabase from "./config/database.js";
 
 // Import routes
 import authRoutes from "./routes/auth.js";
 import agentRoutes from "./routes/agents.js";
 import listRoutes from "./routes/lists.js";
+import portalRoutes from "./routes/portal.js";
+import settingsRoutes from "./routes/settings.js";
+import userRoutes from "./routes/users.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import auditRoutes from "./routes/audit.js";
+import organizationRoutes from "./routes/organizations.js";
+import mappingPresetRoutes from "./routes/mappingPresets.js";
+import customFieldRoutes from "./routes/customFields.js";
+import { startJobWorker } from "./services/jobQueue.js";
+import { startCallbackScheduler } from "./services/callbacks.js";
 
 // Load environment variables
 dotenv.config();
 
-// Get __dirname equivalent for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Connect to MongoDB
 connectDatabase();
 
+// Process queued uploads in the background
+startJobWorker();
+
+// Flag overdue callbacks and send their notifications
+startCallbackScheduler();
+
 // Middleware
-app.use(
-  cors()
-);
+app.use(cors());
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Static files for uploads
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/agents", agentRoutes);
 app.use("/api/lists", listRoutes);
+app.use("/api/portal", portalRoutes);
+app.use("/api/settings", settingsRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/mapping-presets", mappingPresetRoutes);
+app.use("/api/custom-fields", customFieldRoutes);
 
 // Health check route
 app.get("/api/health", (req, res) => {
@@ -0,0 +1,77 @@
+import AuditLog from "../models/auditLog.js";
+
+/**
+ * Compare two snapshots field by field
+ */
+const computeDiff = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+};
+
+/**
+ * Describe who performed the current request
+ */
+export const getActor = (req) => {
+  if (req.agent) {
+    return {
+      actorType: "agent",
+      actorId: req.agent._id,
+      actorEmail: req.agent.email,
+    };
+  }
+
+  if (req.user) {
+    return {
+      actorType: "user",
+      actorId: req.user._id,
+      actorEmail: req.user.email,
+    };
+  }
+
+  return { actorType: "system" };
+};
+
+/**
+ * Pick the given fields of a document into a plain snapshot
+ */
+export const snapshot = (doc, fields) => {
+  if (!doc) return undefined;
+
+  return fields.reduce((result, field) => {
+    result[field] = doc[field];
+    return result;
+  }, {});
+};
+
+/**
+ * Record an audit entry for the current request's actor. Failures are
+ * logged and never fail the request itself.
+ */
+export const recordAudit = async (
+  req,
+  { action, targetType, targetId, before, after, metadata }
+) => {
+  try {
+    await AuditLog.create({
+      organization: req.organizationId,
+      ...getActor(req),
+      apiKey: req.apiKey?._id,
+      action,
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      before,
+      after,
+      diff: before || after ? computeDiff(before, after) : [],
+      metadata,
+      ip: req.ip,
+      userAgent: req.headers?.["user-agent"],
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+};
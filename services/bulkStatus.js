@@ -0,0 +1,186 @@
+import mongoose from "mongoose";
+import List, { ITEM_STATUSES } from "../models/list.js";
+import {
+  matchesCustomFieldFilter,
+  toCustomFieldMatch,
+} from "./customFields.js";
+import { createHttpError } from "../utils/httpError.js";
+
+/**
+ * Status changes applied to many items at once, chosen by ID or by a
+ * filter (list, upload or agent, plus item status and custom fields). Each
+ * list is saved once, with the same transition rules and history as single
+ * updates.
+ */
+
+// Most items changed by one request
+export const MAX_BULK_ITEMS = 1000;
+
+const FILTER_SCOPES = ["listId", "uploadId", "agentId"];
+
+// Same limit as item notes in models/list.js
+const MAX_NOTES_LENGTH = 500;
+
+// Errors saving one list; its items fail and the other lists go on
+const LIST_SAVE_ERRORS = ["VersionError", "ValidationError"];
+
+const toObjectId = (id, name) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw createHttpError(`Invalid ${name}: ${id}`, 400);
+  }
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+/**
+ * Build the list query and item selector of a filter; throws a 400 error
+ * when it has no list, upload or agent scope
+ */
+const resolveFilter = (organization, filter, customFieldFilter) => {
+  if (!FILTER_SCOPES.some((scope) => filter[scope])) {
+    throw createHttpError("filter needs a listId, uploadId or agentId", 400);
+  }
+
+  if (filter.status && !ITEM_STATUSES.includes(filter.status)) {
+    throw createHttpError(
+      "Invalid filter status. Must be one of: " + ITEM_STATUSES.join(", "),
+      400
+    );
+  }
+
+  const itemMatch = {
+    ...(filter.status && { "items.status": filter.status }),
+    ...toCustomFieldMatch(customFieldFilter, "items"),
+  };
+
+  return {
+    query: {
+      organization: new mongoose.Types.ObjectId(String(organization)),
+      ...(filter.listId && { _id: toObjectId(filter.listId, "listId") }),
+      ...(filter.uploadId && { uploadId: String(filter.uploadId) }),
+      ...(filter.agentId && { agentId: toObjectId(filter.agentId, "agentId") }),
+    },
+    itemMatch,
+    selects: (item) =>
+      (!filter.status || item.status === filter.status) &&
+      matchesCustomFieldFilter(item, customFieldFilter),
+  };
+};
+
+/**
+ * Count the items a filter selects, before changing any
+ */
+const countFilteredItems = async ({ query, itemMatch }) => {
+  const [result] = await List.aggregate([
+    { $match: { ...query, ...itemMatch } },
+    { $unwind: "$items" },
+    { $match: itemMatch },
+    { $count: "count" },
+  ]);
+  return result?.count || 0;
+};
+
+/**
+ * Change the status of the organization's items listed in `itemIds`, or
+ * selected by `filter` ({ listId, uploadId, agentId, status } with the
+ * parsed `customFieldFilter`). change: { actor, note, overrideReason,
+ * notes }, notes replacing those of every updated item like single updates
+ * do. Returns { matched, updated, failed, results } with one result per
+ * item; a list that can't be saved fails its items. Throws a 400 error when
+ * more than MAX_BULK_ITEMS items would change.
+ */
+export const updateItemStatusesInBulk = async (
+  organization,
+  { itemIds, filter, customFieldFilter = [] },
+  status,
+  change
+) => {
+  let query;
+  let selects;
+
+  if (
+    change.notes !== undefined &&
+    (typeof change.notes !== "string" ||
+      change.notes.trim().length > MAX_NOTES_LENGTH)
+  ) {
+    throw createHttpError(
+      `notes must be a string of at most ${MAX_NOTES_LENGTH} characters`,
+      400
+    );
+  }
+
+  if (itemIds) {
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      throw createHttpError("itemIds must be a non-empty array", 400);
+    }
+    if (itemIds.length > MAX_BULK_ITEMS) {
+      throw createHttpError(
+        `At most ${MAX_BULK_ITEMS} items can be updated at once`,
+        400
+      );
+    }
+
+    const ids = [...new Set(itemIds.map(String))].map((id) =>
+      toObjectId(id, "item ID")
+    );
+    const wanted = new Set(ids.map(String));
+    query = { organization, "items._id": { $in: ids } };
+    selects = (item) => wanted.has(String(item._id));
+  } else {
+    const resolved = resolveFilter(organization, filter, customFieldFilter);
+    const matched = await countFilteredItems(resolved);
+    if (matched > MAX_BULK_ITEMS) {
+      throw createHttpError(
+        `The filter matches ${matched} items; at most ${MAX_BULK_ITEMS} can be updated at once`,
+        400
+      );
+    }
+    query = { ...resolved.query, ...resolved.itemMatch };
+    selects = resolved.selects;
+  }
+
+  const results = [];
+  const found = new Set();
+  const lists = List.find(query).sort({ _id: 1 }).cursor();
+
+  for await (const list of lists) {
+    const ids = list.items.filter(selects).map((item) => item._id);
+    let listResults;
+    try {
+      listResults = await list.updateItemStatuses(ids, status, change);
+    } catch (error) {
+      if (!LIST_SAVE_ERRORS.includes(error.name)) throw error;
+
+      // Nothing of this list was saved
+      listResults = ids.map((itemId) => ({
+        itemId,
+        success: false,
+        message:
+          error.name === "VersionError"
+            ? "The list changed during the update; try again"
+            : error.message,
+      }));
+    }
+
+    listResults.forEach((result) => {
+      found.add(String(result.itemId));
+      results.push({ listId: list._id, ...result });
+    });
+  }
+
+  // IDs that aren't in any of the organization's lists
+  if (itemIds) {
+    new Set(itemIds.map(String)).forEach((itemId) => {
+      if (!found.has(itemId)) {
+        results.push({ itemId, success: false, message: "Item not found" });
+      }
+    });
+  }
+
+  const updated = results.filter((result) => result.success).length;
+  return {
+    matched: results.length,
+    updated,
+    failed: results.length - updated,
+    results,
+  };
+};
@@ -0,0 +1,306 @@
+import mongoose from "mongoose";
+import List from "../models/list.js";
+import Agent from "../models/agent.js";
+import { sendMail } from "./mailer.js";
+import { createHttpError } from "../utils/httpError.js";
+
+/**
+ * Callbacks scheduled on list items: listing due and overdue ones, and a
+ * scheduler inside the server that flags overdue callbacks (sets
+ * callback.overdueAt) every CALLBACK_CHECK_INTERVAL_MS and passes each one
+ * to the notifiers named in CALLBACK_NOTIFIERS (comma-separated, none by
+ * default). A notifier is an async function receiving { organization, listId,
+ * itemId, uploadId, agent: { id, name, email }, firstName, phone, status,
+ * dueAt, note }; its failures are logged and not retried.
+ */
+
+export const CALLBACK_FILTERS = ["all", "due", "overdue"];
+
+// Callbacks flagged per scheduler run; the rest wait for the next one
+const FLAG_BATCH_SIZE = 500;
+
+const notifiers = {
+  // Print overdue callbacks to the server log, by ID only: lead names and
+  // phones stay out of the logs
+  log: async (callback) => {
+    console.log(
+      `⏰ Overdue callback: item ${callback.itemId} of list ${callback.listId} (agent ${callback.agent?.id || "unknown"}), due ${callback.dueAt.toISOString()}`
+    );
+  },
+
+  // Email the agent holding the item
+  email: async (callback) => {
+    if (!callback.agent?.email) return;
+
+    await sendMail({
+      to: callback.agent.email,
+      subject: `Overdue callback: ${callback.firstName}`,
+      text: [
+        `Hello ${callback.agent.name},`,
+        "",
+        `Your callback to ${callback.firstName} (${callback.phone}) was due at ${callback.dueAt.toISOString()}.`,
+        callback.note ? `Note: ${callback.note}` : null,
+      ]
+        .filter((line) => line !== null)
+        .join("\n"),
+    });
+  },
+};
+
+/**
+ * Register a notifier for overdue callbacks (e.g. a webhook or chat
+ * message); enable it by adding its name to CALLBACK_NOTIFIERS
+ */
+export const registerCallbackNotifier = (name, notify) => {
+  notifiers[name] = notify;
+};
+
+const getCheckIntervalMs = () =>
+  parseInt(process.env.CALLBACK_CHECK_INTERVAL_MS) || 60 * 1000;
+
+const getNotifierNames = () =>
+  (process.env.CALLBACK_NOTIFIERS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+/**
+ * Read the listing options of a callbacks request (filter, within hours,
+ * page, limit); throws a 400 error for invalid values
+ */
+export const parseCallbackQuery = ({
+  filter = "all",
+  within = 24,
+  page = 1,
+  limit = 20,
+}) => {
+  if (!CALLBACK_FILTERS.includes(filter)) {
+    throw createHttpError(
+      "Invalid filter. Must be one of: " + CALLBACK_FILTERS.join(", "),
+      400
+    );
+  }
+
+  const withinHours = Number(within);
+  if (!(withinHours > 0 && withinHours <= 24 * 31)) {
+    throw createHttpError("within must be between 0 and 744 hours", 400);
+  }
+
+  return {
+    filter,
+    withinHours,
+    page: Math.max(parseInt(page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+  };
+};
+
+/**
+ * List the callbacks of an organization (or one agent) that are overdue,
+ * due within `withinHours`, or both ("all"), soonest first
+ */
+export const findCallbacks = async ({
+  organization,
+  agentId,
+  filter = "all",
+  withinHours = 24,
+  page = 1,
+  limit = 20,
+}) => {
+  const now = new Date();
+  const until = new Date(now.getTime() + withinHours * 60 * 60 * 1000);
+  const dueAt =
+    filter === "overdue"
+      ? { $lt: now }
+      : filter === "due"
+        ? { $gte: now, $lte: until }
+        : { $lte: until };
+
+  const [result] = await List.aggregate([
+    {
+      $match: {
+        organization: new mongoose.Types.ObjectId(String(organization)),
+        ...(agentId && {
+          agentId: new mongoose.Types.ObjectId(String(agentId)),
+        }),
+        "items.callback.dueAt": dueAt,
+      },
+    },
+    { $unwind: "$items" },
+    { $match: { "items.callback.dueAt": dueAt } },
+    { $sort: { "items.callback.dueAt": 1 } },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        callbacks: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              listId: "$_id",
+              uploadId: 1,
+              agentId: 1,
+              itemId: "$items._id",
+              firstName: "$items.firstName",
+              phone: "$items.phone",
+              notes: "$items.notes",
+              status: "$items.status",
+              callback: "$items.callback",
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const agents = await Agent.find({
+    _id: { $in: result.callbacks.map((callback) => callback.agentId) },
+  })
+    .select("name email")
+    .lean();
+  const agentsById = new Map(agents.map((agent) => [String(agent._id), agent]));
+  const total = result.total[0]?.count || 0;
+
+  return {
+    callbacks: result.callbacks.map(({ agentId: id, ...callback }) => ({
+      ...callback,
+      agent: agentsById.get(String(id)) || null,
+      overdue: callback.callback.dueAt < now,
+    })),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+/**
+ * Run the enabled notifiers for an overdue callback
+ */
+const notifyOverdueCallback = async (callback) => {
+  for (const name of getNotifierNames()) {
+    const notify = notifiers[name];
+    if (!notify) {
+      console.error(`Unknown callback notifier: ${name}`);
+      continue;
+    }
+
+    try {
+      await notify(callback);
+    } catch (error) {
+      console.error(`Callback notifier ${name} error:`, error);
+    }
+  }
+};
+
+/**
+ * Flag callbacks that became overdue and notify about each. Every callback
+ * is claimed with a conditional update first, so when several servers run
+ * the scheduler each callback is notified once.
+ */
+export const flagOverdueCallbacks = async () => {
+  const now = new Date();
+  const overdue = {
+    "items.callback.dueAt": { $lt: now },
+    "items.callback.overdueAt": null,
+  };
+
+  const candidates = await List.aggregate([
+    { $match: overdue },
+    { $unwind: "$items" },
+    { $match: overdue },
+    { $limit: FLAG_BATCH_SIZE },
+    {
+      $project: {
+        organization: 1,
+        uploadId: 1,
+        agentId: 1,
+        item: "$items",
+      },
+    },
+  ]);
+
+  const agents = new Map();
+  let flagged = 0;
+
+  for (const {
+    _id: listId,
+    organization,
+    uploadId,
+    agentId,
+    item,
+  } of candidates) {
+    const claimed = await List.updateOne(
+      {
+        _id: listId,
+        items: {
+          $elemMatch: {
+            _id: item._id,
+            "callback.dueAt": item.callback.dueAt,
+            "callback.overdueAt": null,
+          },
+        },
+      },
+      { $set: { "items.$.callback.overdueAt": now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    flagged += 1;
+
+    const key = String(agentId);
+    if (!agents.has(key)) {
+      agents.set(key, await Agent.findById(agentId).select("name email"));
+    }
+    const agent = agents.get(key);
+
+    await notifyOverdueCallback({
+      organization,
+      listId,
+      itemId: item._id,
+      uploadId,
+      agent: agent && { id: agent._id, name: agent.name, email: agent.email },
+      firstName: item.firstName,
+      phone: item.phone,
+      status: item.status,
+      dueAt: item.callback.dueAt,
+      note: item.callback.note,
+    });
+  }
+
+  return flagged;
+};
+
+let checkTimer = null;
+let checking = false;
+
+const check = async () => {
+  if (checking) return;
+  checking = true;
+
+  try {
+    await flagOverdueCallbacks();
+  } catch (error) {
+    console.error("Callback scheduler error:", error);
+  } finally {
+    checking = false;
+  }
+};
+
+/**
+ * Start checking for overdue callbacks (CALLBACK_CHECK_INTERVAL_MS)
+ */
+export const startCallbackScheduler = () => {
+  if (checkTimer) return;
+  checkTimer = setInterval(check, getCheckIntervalMs());
+  check();
+};
+
+/**
+ * Stop checking for overdue callbacks
+ */
+export const stopCallbackScheduler = () => {
+  clearInterval(checkTimer);
+  checkTimer = null;
+};
@@ -0,0 +1,164 @@
+import CustomField from "../models/customField.js";
+import { createHttpError } from "../utils/httpError.js";
+import { escapeRegExp } from "../utils/regex.js";
+
+/**
+ * Typed values of organization-defined custom fields (see
+ * models/customField.js): parsing imported cells, and filtering items with
+ * `cf.<key>` query parameters (`cf.<key>.min` / `cf.<key>.max` for number
+ * and date ranges).
+ */
+
+// Longest text value kept
+const MAX_TEXT_LENGTH = 1000;
+
+// Excel stores dates as days since 1899-12-30
+const fromExcelSerial = (serial) =>
+  new Date(Math.round((serial - 25569) * 24 * 60 * 60 * 1000));
+
+const toNumber = (raw) =>
+  typeof raw === "number" ? raw : Number(String(raw).trim().replace(/,/g, ""));
+
+const toDate = (raw) => {
+  if (raw instanceof Date) return raw;
+  // Spreadsheet date cells are read as serial numbers
+  if (typeof raw === "number") return fromExcelSerial(raw);
+  return new Date(String(raw).trim());
+};
+
+/**
+ * Convert a cell to a field's type. Returns { value } (undefined for empty
+ * cells) or { reason } when the cell doesn't fit the field.
+ */
+export const parseCustomFieldValue = (field, raw) => {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return field.required ? { reason: "Is required" } : { value: undefined };
+  }
+
+  switch (field.type) {
+    case "number": {
+      const value = toNumber(raw);
+      return Number.isFinite(value)
+        ? { value }
+        : { reason: "Must be a number" };
+    }
+
+    case "date": {
+      const value = toDate(raw);
+      return Number.isNaN(value.getTime())
+        ? { reason: "Must be a date" }
+        : { value };
+    }
+
+    case "enum": {
+      const text = String(raw).trim().toLowerCase();
+      const value = field.options.find(
+        (option) => option.toLowerCase() === text
+      );
+      return value !== undefined
+        ? { value }
+        : { reason: `Must be one of: ${field.options.join(", ")}` };
+    }
+
+    default: {
+      const value = String(raw).trim();
+      return value.length > MAX_TEXT_LENGTH
+        ? { reason: `Cannot exceed ${MAX_TEXT_LENGTH} characters` }
+        : { value };
+    }
+  }
+};
+
+/**
+ * Check whether a request has custom field filters, before loading the
+ * field definitions
+ */
+export const hasCustomFieldFilter = (query) =>
+  Object.keys(query).some((param) => param.startsWith("cf."));
+
+/**
+ * Read the `cf.*` query parameters into a list of conditions
+ * ({ key, op: "eq" | "min" | "max", value }); throws a 400 error for
+ * unknown fields and values that don't fit the field's type
+ */
+export const parseCustomFieldFilter = (query, fields) => {
+  const conditions = [];
+
+  Object.entries(query).forEach(([param, raw]) => {
+    if (!param.startsWith("cf.")) return;
+
+    const [key, op = "eq"] = param.slice(3).split(".");
+    const field = fields.find((candidate) => candidate.key === key);
+    if (!field) {
+      throw createHttpError(`Unknown custom field: ${key}`, 400);
+    }
+
+    const ranged = field.type === "number" || field.type === "date";
+    if (!["eq", "min", "max"].includes(op) || (op !== "eq" && !ranged)) {
+      throw createHttpError(`Invalid filter: ${param}`, 400);
+    }
+
+    const parsed = parseCustomFieldValue(
+      { ...field, required: true },
+      Array.isArray(raw) ? raw[0] : raw
+    );
+    if (parsed.reason) {
+      throw createHttpError(`Invalid filter ${param}: ${parsed.reason}`, 400);
+    }
+
+    conditions.push({ key, type: field.type, op, value: parsed.value });
+  });
+
+  return conditions;
+};
+
+/**
+ * Read a request's custom field filter against the organization's fields;
+ * no conditions (and no lookup) when it has none
+ */
+export const loadCustomFieldFilter = async (organization, query) => {
+  if (!hasCustomFieldFilter(query)) return [];
+
+  const fields = await CustomField.findForOrganization(organization);
+  return parseCustomFieldFilter(query, fields);
+};
+
+/**
+ * Build the MongoDB condition of a filter on items found at `path` (e.g.
+ * "items" after an $unwind)
+ */
+export const toCustomFieldMatch = (conditions, path) =>
+  conditions.reduce((match, { key, type, op, value }) => {
+    const fieldPath = `${path}.customFields.${key}`;
+    const condition = match[fieldPath] || {};
+
+    if (op === "min") condition.$gte = value;
+    else if (op === "max") condition.$lte = value;
+    // Text matches ignore case
+    else if (type === "text") {
+      condition.$regex = `^${escapeRegExp(value)}$`;
+      condition.$options = "i";
+    } else condition.$eq = value;
+
+    match[fieldPath] = condition;
+    return match;
+  }, {});
+
+/**
+ * Check an item against a filter in memory
+ */
+export const matchesCustomFieldFilter = (item, conditions) =>
+  conditions.every(({ key, type, op, value }) => {
+    const stored = item.customFields?.[key];
+    if (stored === undefined || stored === null) return false;
+
+    const actual = type === "date" ? new Date(stored).getTime() : stored;
+    const expected = type === "date" ? value.getTime() : value;
+
+    if (op === "min") return actual >= expected;
+    if (op === "max") return actual <= expected;
+    if (type === "text") {
+      return String(actual).toLowerCase() === String(expected).toLowerCase();
+    }
+    return actual === expected;
+  });
@@ -0,0 +1,178 @@
+/**
+ * Upload distribution strategies. A strategy's createPicker(agents, context)
+ * is called once per upload and returns a picker; each call of the picker
+ * returns the index of the agent receiving the next item, choosing only
+ * among agents for which isEligible(index) is true (agents with capacity
+ * left), or -1 if there is none. Strategies with shuffleItems set see the
+ * items in random order.
+ *
+ * context.loads is a Map of agent ID → items the agent still has pending.
+ */
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ */
+const shuffle = (array) => {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+};
+
+/**
+ * Deal items to agents in a fixed order, one at a time, skipping agents
+ * that can't take more
+ */
+const createRotation = (order) => {
+  let cursor = 0;
+  return (isEligible) => {
+    for (let step = 0; step < order.length; step++) {
+      const position = (cursor + step) % order.length;
+      if (isEligible(order[position])) {
+        cursor = (position + 1) % order.length;
+        return order[position];
+      }
+    }
+    return -1;
+  };
+};
+
+const strategies = {
+  // Interleave items across agents; agents with the fewest lifetime
+  // assignments go first so the remainder doesn't always favor the same ones
+  "round-robin": {
+    createPicker: (agents) =>
+      createRotation(
+        agents
+          .map((agent, index) => index)
+          .sort(
+            (a, b) =>
+              (agents[a].totalItemsAssigned || 0) -
+              (agents[b].totalItemsAssigned || 0)
+          )
+      ),
+  },
+
+  // Even split, but which agent gets which rows is random
+  random: {
+    shuffleItems: true,
+    createPicker: (agents) =>
+      createRotation(shuffle(agents.map((agent, index) => index))),
+  },
+
+  // Split proportionally to each agent's distributionWeight (smooth
+  // weighted round-robin, so heavy agents' items stay interleaved)
+  weighted: {
+    createPicker: (agents) => {
+      const weights = agents.map((agent) => agent.distributionWeight ?? 1);
+      const current = weights.map(() => 0);
+
+      return (isEligible) => {
+        let best = -1;
+        let totalWeight = 0;
+        weights.forEach((weight, index) => {
+          if (weight <= 0 || !isEligible(index)) return;
+          current[index] += weight;
+          totalWeight += weight;
+          if (best === -1 || current[index] > current[best]) best = index;
+        });
+
+        if (best !== -1) current[best] -= totalWeight;
+        return best;
+      };
+    },
+  },
+
+  // Give each item to the agent with the fewest pending items
+  "least-loaded": {
+    createPicker: (agents, { loads = new Map() } = {}) => {
+      const pending = agents.map((agent) => loads.get(String(agent._id)) || 0);
+
+      return (isEligible) => {
+        let best = -1;
+        pending.forEach((load, index) => {
+          if (!isEligible(index)) return;
+          if (best === -1 || load < pending[best]) best = index;
+        });
+
+        if (best !== -1) pending[best] += 1;
+        return best;
+      };
+    },
+  },
+};
+
+export const DEFAULT_DISTRIBUTION_STRATEGY = "round-robin";
+
+/**
+ * Register a custom distribution strategy
+ */
+export const registerDistributionStrategy = (name, strategy) => {
+  strategies[name] = strategy;
+};
+
+/**
+ * Get the names of all available strategies
+ */
+export const getDistributionStrategies = () => Object.keys(strategies);
+
+/**
+ * Get how many more items an agent can take before reaching maxOpenItems
+ * (Infinity when the agent has no limit)
+ */
+export const getRemainingCapacity = (agent, loads = new Map()) => {
+  if (agent.maxOpenItems === null || agent.maxOpenItems === undefined) {
+    return Infinity;
+  }
+  const pending = loads.get(String(agent._id)) || 0;
+  return Math.max(0, agent.maxOpenItems - pending);
+};
+
+/**
+ * Create an assigner splitting items between agents with the given
+ * strategy, batch by batch for uploads too large to hold at once. The
+ * rotation and each agent's remaining capacity carry over between calls
+ * (shuffling strategies shuffle within each batch). Each call returns one
+ * array of items per agent (in the order of `agents`) and the items no
+ * agent could take.
+ */
+export const createAssigner = (
+  agents,
+  { strategy = DEFAULT_DISTRIBUTION_STRATEGY, loads = new Map() } = {}
+) => {
+  const definition = strategies[strategy];
+  if (!definition) {
+    throw new Error(`Unknown distribution strategy: ${strategy}`);
+  }
+
+  const pick = definition.createPicker(agents, { loads });
+  const capacities = agents.map((agent) => getRemainingCapacity(agent, loads));
+  const isEligible = (index) => capacities[index] > 0;
+
+  return (items) => {
+    const ordered = definition.shuffleItems ? shuffle([...items]) : items;
+    const assignments = agents.map(() => []);
+    const unassigned = [];
+
+    for (const item of ordered) {
+      const index = pick(isEligible);
+      if (index === -1) {
+        unassigned.push(item);
+      } else {
+        assignments[index].push(item);
+        capacities[index] -= 1;
+      }
+    }
+
+    return { assignments, unassigned };
+  };
+};
+
+/**
+ * Split items between agents with the given strategy, without exceeding
+ * any agent's remaining capacity. Returns one array of items per agent (in
+ * the order of `agents`) and the items no agent could take.
+ */
+export const assignItems = (items, agents, options) =>
+  createAssigner(agents, options)(items);
@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import List from "../models/list.js";
+import ImportPhone from "../models/importPhone.js";
+import { normalizePhone } from "../utils/phone.js";
+
+/**
+ * What to do with an uploaded row whose phone number is already in the
+ * file or in one of the organization's lists:
+ * - keep: import it anyway (duplicates are only counted)
+ * - skip: drop it
+ * - merge: drop it, appending its notes to the existing item (or to the
+ *   first row of the file with that number)
+ */
+export const DUPLICATE_POLICIES = ["keep", "skip", "merge"];
+
+export const DEFAULT_DUPLICATE_POLICY = "keep";
+
+// Same limit as the notes of a list item
+const MAX_NOTES_LENGTH = 500;
+
+const mergeNotes = (current = "", extra = "") => {
+  if (!extra || current.includes(extra)) return current;
+  return (current ? `${current}\n${extra}` : extra).slice(0, MAX_NOTES_LENGTH);
+};
+
+/**
+ * Find the list items of an organization with one of the given normalized
+ * phones, newest list first
+ */
+const findExistingItems = (organization, phones) =>
+  List.aggregate([
+    { $match: { organization, "items.normalizedPhone": { $in: phones } } },
+    { $sort: { distributedAt: -1 } },
+    { $unwind: "$items" },
+    { $match: { "items.normalizedPhone": { $in: phones } } },
+    {
+      $project: {
+        _id: 0,
+        listId: "$_id",
+        itemId: "$items._id",
+        normalizedPhone: "$items.normalizedPhone",
+      },
+    },
+  ]);
+
+// Tracking entries of an import that never finished are kept this long
+const TRACKING_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Track duplicates over the two passes of an import, keeping one
+ * ImportPhone entry per number of the file instead of holding them all in
+ * memory. scan(item) is called for every valid row of the first pass, which
+ * records the numbers, looks up existing items and collects the notes of
+ * repeated rows batch by batch; finishScan() saves the last batch.
+ * resolveBatch(items) then decides for each valid row of a second-pass
+ * batch, in order: { item } to import it, { merge } ({ listId, itemId,
+ * notes }) to append its notes to an existing item, or {} to drop it.
+ * discard() removes the entries once the import is done with them.
+ */
+export const createDuplicateTracker = (
+  organization,
+  policy,
+  { batchSize = 1000 } = {}
+) => {
+  const trackerId = new mongoose.Types.ObjectId();
+  const counts = { policy, inFile: 0, existing: 0, skipped: 0, merged: 0 };
+  let scanned = [];
+
+  const findEntries = async (phones) => {
+    const entries = await ImportPhone.find({
+      trackerId,
+      normalizedPhone: { $in: phones },
+    }).lean();
+    return new Map(entries.map((entry) => [entry.normalizedPhone, entry]));
+  };
+
+  const saveScanned = async () => {
+    if (scanned.length === 0) return;
+    const batch = scanned;
+    scanned = [];
+
+    const entries = await findEntries([
+      ...new Set(batch.map((row) => row.normalizedPhone)),
+    ]);
+    const added = new Map();
+    const changed = new Set();
+
+    batch.forEach(({ normalizedPhone, notes }) => {
+      const entry = entries.get(normalizedPhone);
+      if (!entry) {
+        const first = { normalizedPhone, repeatedNotes: "" };
+        entries.set(normalizedPhone, first);
+        added.set(normalizedPhone, first);
+      } else if (policy === "merge") {
+        entry.repeatedNotes = mergeNotes(entry.repeatedNotes, notes);
+        changed.add(normalizedPhone);
+      }
+    });
+
+    // Only numbers new to the file need looking up
+    const matches = added.size
+      ? await findExistingItems(organization, [...added.keys()])
+      : [];
+    matches.forEach(({ normalizedPhone, listId, itemId }) => {
+      const entry = added.get(normalizedPhone);
+      if (!entry.existing) entry.existing = { listId, itemId };
+    });
+
+    const expiresAt = new Date(Date.now() + TRACKING_TTL_MS);
+    const writes = [
+      ...[...added.values()].map((entry) => ({
+        insertOne: { document: { ...entry, trackerId, expiresAt } },
+      })),
+      ...[...changed]
+        .filter((normalizedPhone) => !added.has(normalizedPhone))
+        .map((normalizedPhone) => ({
+          updateOne: {
+            filter: { trackerId, normalizedPhone },
+            update: {
+              $set: {
+                repeatedNotes: entries.get(normalizedPhone).repeatedNotes,
+              },
+            },
+          },
+        })),
+    ];
+    if (writes.length > 0) await ImportPhone.bulkWrite(writes);
+  };
+
+  const drop = () => {
+    counts[policy === "skip" ? "skipped" : "merged"] += 1;
+    return {};
+  };
+
+  return {
+    counts,
+
+    async scan(item) {
+      const normalizedPhone = normalizePhone(item.phone);
+      if (!normalizedPhone) return;
+
+      scanned.push({ normalizedPhone, notes: item.notes });
+      if (scanned.length >= batchSize) await saveScanned();
+    },
+
+    finishScan: saveScanned,
+
+    async resolveBatch(items) {
+      const phones = items.map((item) => normalizePhone(item.phone));
+      const entries = await findEntries([...new Set(phones.filter(Boolean))]);
+      const resolved = [];
+
+      const results = items.map((item, index) => {
+        const entry = entries.get(phones[index]);
+        // Numbers the first pass didn't see (none unless the file changed)
+        if (!entry) return { item };
+
+        // Rows repeating an earlier row of the file
+        if (entry.resolved) {
+          counts.inFile += 1;
+          return policy === "keep" ? { item } : drop();
+        }
+        entry.resolved = true;
+        resolved.push(entry.normalizedPhone);
+
+        const notes =
+          policy === "merge"
+            ? mergeNotes(item.notes, entry.repeatedNotes)
+            : item.notes;
+        const match = entry.existing;
+        if (!match?.itemId) return { item: { ...item, notes } };
+
+        counts.existing += 1;
+        if (policy === "keep") return { item };
+
+        const result = drop();
+        if (policy === "merge" && notes) {
+          result.merge = { listId: match.listId, itemId: match.itemId, notes };
+        }
+        return result;
+      });
+
+      if (resolved.length > 0) {
+        await ImportPhone.updateMany(
+          { trackerId, normalizedPhone: { $in: resolved } },
+          { $set: { resolved: true } }
+        );
+      }
+      return results;
+    },
+
+    discard: () => ImportPhone.deleteMany({ trackerId }),
+  };
+};
+
+/**
+ * Append the notes of merged duplicate rows to the existing items (items
+ * removed since the merge was planned are ignored)
+ */
+export const applyDuplicateMerges = async (organization, merges) => {
+  if (merges.length === 0) return;
+
+  const current = await List.aggregate([
+    {
+      $match: {
+        organization,
+        _id: { $in: merges.map((merge) => merge.listId) },
+      },
+    },
+    {
+      $project: {
+        items: {
+          $filter: {
+            input: "$items",
+            cond: {
+              $in: ["$$this._id", merges.map((merge) => merge.itemId)],
+            },
+          },
+        },
+      },
+    },
+    { $unwind: "$items" },
+    { $project: { _id: 0, itemId: "$items._id", notes: "$items.notes" } },
+  ]);
+  const notesById = new Map(
+    current.map((item) => [String(item.itemId), item.notes])
+  );
+
+  const updates = merges
+    .filter((merge) => notesById.has(String(merge.itemId)))
+    .map(({ listId, itemId, notes }) => ({
+      updateOne: {
+        filter: { _id: listId, "items._id": itemId },
+        update: {
+          $set: {
+            "items.$.notes": mergeNotes(notesById.get(String(itemId)), notes),
+            lastUpdated: new Date(),
+          },
+        },
+      },
+    }));
+
+  if (updates.length > 0) await List.bulkWrite(updates);
+};
@@ -0,0 +1,262 @@
+import Papa from "papaparse";
+import XLSX from "xlsx";
+import fs from "fs";
+import { createHttpError } from "../utils/httpError.js";
+
+/**
+ * File formats lists can be imported from, by file extension. A format's
+ * open(filePath, options) reads the file's headers and returns
+ * { headers, rows }, rows being an async iterator of { rowNumber, row }
+ * (plus `sheet` for multi-sheet imports) with row objects keyed by header.
+ * options are the upload's format options: `sheet` (name of the sheet to
+ * import) and `allSheets` (import every sheet), for formats marked
+ * multiSheet. Formats that can't be streamed and parse the whole file in
+ * memory (on each of the import's two passes) are marked loadsWholeFile,
+ * which holds them to MAX_LOADED_FILE_SIZE.
+ */
+
+const isBlankRow = (values) => !values.some((value) => String(value).trim());
+
+/**
+ * Turn rows of cells, the first non-blank one holding the headers, into
+ * { headers, rows }. Blank rows are skipped but still counted, so row
+ * numbers are those of the file or sheet (the header usually being row 1).
+ */
+const tabulate = async (cells, sheet) => {
+  let rowNumber = 0;
+  let first;
+  do {
+    first = await cells.next();
+    rowNumber++;
+  } while (!first.done && isBlankRow(first.value));
+
+  if (first.done) {
+    throw createHttpError("File must contain a header row and data rows", 400);
+  }
+  const headers = first.value.map((header) => String(header).trim());
+
+  async function* rows() {
+    for await (const values of cells) {
+      rowNumber++;
+      if (isBlankRow(values)) continue;
+
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index] ?? "";
+      });
+      yield sheet === undefined
+        ? { rowNumber, row }
+        : { rowNumber, row, sheet };
+    }
+  }
+
+  return { headers, rows: rows() };
+};
+
+/**
+ * Read the cells of a delimited text file row by row, streaming it from
+ * disk (the delimiter is detected when not given). Empty lines are kept so
+ * tabulate can count them.
+ */
+async function* readDelimitedRows(filePath, delimiter) {
+  const parser = Papa.parse(Papa.NODE_STREAM_INPUT, { delimiter });
+  const source = fs.createReadStream(filePath, "utf8");
+  source.on("error", (error) => parser.destroy(error));
+
+  yield* source.pipe(parser);
+}
+
+/**
+ * Read the cells of a worksheet row by row from its first row (rows above
+ * the used range come out blank, keeping row numbers those of the sheet).
+ * Workbooks can't be streamed, but the dense sheet is walked without
+ * copying it.
+ */
+async function* readSheetRows(worksheet) {
+  if (!worksheet || !worksheet["!ref"]) return;
+
+  const cells = worksheet["!data"] || worksheet;
+  const range = XLSX.utils.decode_range(worksheet["!ref"]);
+
+  for (let r = 0; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(cells[r]?.[c]?.v ?? "");
+    }
+    yield row;
+  }
+}
+
+/**
+ * Open a workbook: its first sheet, the sheet named in options.sheet, or
+ * with options.allSheets every sheet, one after the other. Multi-sheet
+ * headers are the union of the sheets' headers.
+ */
+const openWorkbook = async (filePath, { sheet, allSheets } = {}) => {
+  const workbook = XLSX.readFile(filePath, {
+    dense: true,
+    sheets: sheet && !allSheets ? sheet : undefined,
+  });
+
+  if (!allSheets) {
+    const sheetName = sheet || workbook.SheetNames[0];
+    if (!workbook.Sheets[sheetName]) {
+      throw createHttpError(
+        `Sheet "${sheet}" not found. Sheets: ${workbook.SheetNames.join(", ")}`,
+        400
+      );
+    }
+    return tabulate(readSheetRows(workbook.Sheets[sheetName]));
+  }
+
+  const sheets = [];
+  for (const sheetName of workbook.SheetNames) {
+    // Empty sheets are skipped
+    if (!workbook.Sheets[sheetName]?.["!ref"]) continue;
+    sheets.push(
+      await tabulate(readSheetRows(workbook.Sheets[sheetName]), sheetName)
+    );
+  }
+
+  if (sheets.length === 0) {
+    throw createHttpError("File must contain a header row and data rows", 400);
+  }
+
+  const headers = [...new Set(sheets.flatMap((entry) => entry.headers))];
+
+  async function* rows() {
+    for (const entry of sheets) {
+      for await (const { rowNumber, row, sheet: sheetName } of entry.rows) {
+        const complete = {};
+        headers.forEach((header) => {
+          complete[header] = row[header] ?? "";
+        });
+        yield { rowNumber, row: complete, sheet: sheetName };
+      }
+    }
+  }
+
+  return { headers, rows: rows() };
+};
+
+/**
+ * Open a JSON array of objects (e.g. a web form export). Headers are the
+ * keys in order of first appearance; row numbers are the 1-based positions
+ * in the array. Nested values are imported as JSON text.
+ */
+const openJson = async (filePath) => {
+  let records;
+  try {
+    records = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (error) {
+    throw createHttpError(`JSON parsing failed: ${error.message}`, 400);
+  }
+
+  if (
+    !Array.isArray(records) ||
+    records.some(
+      (record) => !record || typeof record !== "object" || Array.isArray(record)
+    )
+  ) {
+    throw createHttpError("JSON file must contain an array of objects", 400);
+  }
+
+  if (records.length === 0) {
+    throw createHttpError("File must contain data rows", 400);
+  }
+
+  const toCell = (value) =>
+    value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+  const trimmed = records.map((record) =>
+    Object.fromEntries(
+      Object.entries(record).map(([key, value]) => [key.trim(), toCell(value)])
+    )
+  );
+  const headers = [
+    ...new Set(trimmed.flatMap((record) => Object.keys(record))),
+  ];
+
+  async function* rows() {
+    for (let index = 0; index < trimmed.length; index++) {
+      const row = {};
+      headers.forEach((header) => {
+        row[header] = trimmed[index][header] ?? "";
+      });
+      yield { rowNumber: index + 1, row };
+    }
+  }
+
+  return { headers, rows: rows() };
+};
+
+const formats = {
+  csv: {
+    label: "CSV",
+    extensions: [".csv"],
+    mimeTypes: ["text/csv"],
+    open: (filePath) => tabulate(readDelimitedRows(filePath)),
+  },
+
+  tsv: {
+    label: "TSV",
+    extensions: [".tsv", ".tab"],
+    mimeTypes: ["text/tab-separated-values"],
+    open: (filePath) => tabulate(readDelimitedRows(filePath, "\t")),
+  },
+
+  json: {
+    label: "JSON",
+    extensions: [".json"],
+    mimeTypes: ["application/json"],
+    loadsWholeFile: true,
+    open: openJson,
+  },
+
+  spreadsheet: {
+    label: "XLSX, XLS, ODS",
+    extensions: [".xlsx", ".xls", ".ods"],
+    mimeTypes: [
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.oasis.opendocument.spreadsheet",
+    ],
+    multiSheet: true,
+    loadsWholeFile: true,
+    open: openWorkbook,
+  },
+};
+
+/**
+ * Register an import format, or replace one
+ */
+export const registerImportFormat = (name, format) => {
+  formats[name] = format;
+};
+
+/**
+ * Get the format handling a file extension (e.g. ".csv"), if any
+ */
+export const getImportFormat = (fileExtension) =>
+  Object.values(formats).find((format) =>
+    format.extensions.includes(fileExtension.toLowerCase())
+  );
+
+/**
+ * Get every file extension that can be imported
+ */
+export const getImportExtensions = () =>
+  Object.values(formats).flatMap((format) => format.extensions);
+
+/**
+ * Get the names of the formats that can be imported, e.g. "CSV, JSON"
+ */
+export const describeImportFormats = () =>
+  Object.values(formats)
+    .map((format) => format.label)
+    .join(", ");
+
+/**
+ * Get every MIME type that can be imported
+ */
+export const getImportMimeTypes = () =>
+  Object.values(formats).flatMap((format) => format.mimeTypes || []);
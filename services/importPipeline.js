@@ -0,0 +1,378 @@
+import List, { MAX_LIST_ITEMS } from "../models/list.js";
+import Agent from "../models/agent.js";
+import UnassignedItem from "../models/unassignedItem.js";
+import RejectedRow from "../models/rejectedRow.js";
+import StagedItem from "../models/stagedItem.js";
+import CustomField from "../models/customField.js";
+import {
+  openListFile,
+  resolveColumnMapping,
+  validateListRow,
+} from "./listImport.js";
+import { createAssigner } from "./distribution.js";
+import { applyDuplicateMerges, createDuplicateTracker } from "./duplicates.js";
+
+/**
+ * Imports run in two passes over the uploaded file so memory stays bounded
+ * whatever its size: scanListFile validates every row and looks up
+ * duplicates without writing to lists (the numbers seen are tracked in
+ * ImportPhone entries, see services/duplicates.js), then distributeListFile
+ * re-reads the file and hands the rows to a writer in batches of
+ * IMPORT_BATCH_SIZE.
+ * Writers save batches into lists (createListWriter) or stage them for a
+ * preview (createStagingWriter). Each pass calls onProgress(rows) after
+ * every batch; it may throw to stop the import.
+ */
+
+// Row errors listed in an upload response; the full set is in the
+// rejected-rows download
+export const MAX_REPORTED_ERRORS = 100;
+
+export const getImportBatchSize = () =>
+  parseInt(process.env.IMPORT_BATCH_SIZE) || 1000;
+
+const emptyBatch = (agents) => ({
+  assignments: agents.map(() => []),
+  unassigned: [],
+  merges: [],
+});
+
+/**
+ * First pass: map the file's columns, validate every row and look up
+ * duplicates. Nothing is written.
+ */
+export const scanListFile = async (
+  { filePath, fileExtension, formatOptions },
+  { organization, requestedMapping, duplicatePolicy, onProgress }
+) => {
+  const batchSize = getImportBatchSize();
+  const { headers, rows } = await openListFile(
+    filePath,
+    fileExtension,
+    formatOptions
+  );
+  const customFields = await CustomField.findForOrganization(organization);
+  const { mapping, unmappedHeaders } = resolveColumnMapping(
+    headers,
+    requestedMapping,
+    customFields
+  );
+  const duplicates = createDuplicateTracker(organization, duplicatePolicy, {
+    batchSize,
+  });
+
+  const scan = {
+    headers,
+    mapping,
+    unmappedHeaders,
+    customFields,
+    duplicates,
+    totalRows: 0,
+    validRows: 0,
+    rejectedRows: 0,
+    totalErrors: 0,
+    errors: [],
+  };
+
+  for await (const { rowNumber, row, sheet } of rows) {
+    scan.totalRows += 1;
+    if (onProgress && scan.totalRows % batchSize === 0) {
+      await onProgress(scan.totalRows);
+    }
+    const { item, issues } = validateListRow(
+      row,
+      mapping,
+      customFields,
+      unmappedHeaders
+    );
+
+    if (issues.length > 0) {
+      scan.rejectedRows += 1;
+      scan.totalErrors += issues.length;
+      issues.forEach((issue) => {
+        if (scan.errors.length < MAX_REPORTED_ERRORS) {
+          scan.errors.push({ row: rowNumber, sheet, ...issue });
+        }
+      });
+      continue;
+    }
+
+    scan.validRows += 1;
+    await duplicates.scan(item);
+  }
+
+  await duplicates.finishScan();
+  return scan;
+};
+
+/**
+ * Second pass: re-read a scanned file and split its valid rows between
+ * agents batch by batch, passing each batch to `writer` (none for a dry
+ * run). Rejected rows are saved for download when rejectedRowsExpireAt is
+ * given. Returns the items per agent (in the order of `agents`) and how
+ * many were held back.
+ */
+export const distributeListFile = async (
+  { filePath, fileExtension, formatOptions },
+  scan,
+  agents,
+  { strategy, uploadData, writer, rejectedRowsExpireAt, onProgress }
+) => {
+  const batchSize = getImportBatchSize();
+  // Read once: jobs of other servers running at the same time aren't seen
+  // (see the capacity notes in README.md)
+  const loads = await List.getOpenLoads(agents.map((agent) => agent._id));
+  const assign = createAssigner(agents, { strategy, loads });
+  const { rows } = await openListFile(filePath, fileExtension, formatOptions);
+
+  const counts = agents.map(() => 0);
+  let heldBack = 0;
+  let rowsProcessed = 0;
+  let valid = [];
+  let rejected = [];
+
+  const flush = async () => {
+    const items = [];
+    const merges = [];
+    const resolved = await scan.duplicates.resolveBatch(valid);
+    resolved.forEach((result) => {
+      if (result.item) items.push(result.item);
+      if (result.merge) merges.push(result.merge);
+    });
+
+    const { assignments, unassigned } = assign(items);
+    assignments.forEach((agentItems, index) => {
+      counts[index] += agentItems.length;
+    });
+    heldBack += unassigned.length;
+
+    if (writer) await writer.write({ assignments, unassigned, merges });
+    if (rejectedRowsExpireAt && rejected.length > 0) {
+      await RejectedRow.saveForUpload(
+        uploadData,
+        scan.headers,
+        rejected,
+        rejectedRowsExpireAt
+      );
+    }
+
+    valid = [];
+    rejected = [];
+    if (onProgress) await onProgress(rowsProcessed);
+  };
+
+  for await (const { rowNumber, row, sheet } of rows) {
+    rowsProcessed += 1;
+    const { item, issues } = validateListRow(
+      row,
+      scan.mapping,
+      scan.customFields,
+      scan.unmappedHeaders
+    );
+
+    if (issues.length > 0) {
+      rejected.push({
+        rowNumber,
+        sheet,
+        values: scan.headers.map((header) => (row[header] ?? "").toString()),
+        issues,
+      });
+    } else {
+      valid.push(item);
+    }
+
+    if (valid.length + rejected.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  await flush();
+  await scan.duplicates.discard();
+  if (writer) await writer.finish();
+
+  return { counts, heldBack };
+};
+
+/**
+ * Writer saving batches straight into the agents' lists for an upload. Each
+ * agent's current list is filled up to MAX_LIST_ITEMS, then the next one is
+ * created with the rest of the batch. Agent counters are updated once, when
+ * the import finishes, right after markCountersApplied() has recorded that
+ * cleaning up the upload must take them back out.
+ */
+export const createListWriter = (
+  agents,
+  uploadData,
+  { markCountersApplied } = {}
+) => {
+  // List being filled per agent: { _id, size }
+  const openLists = agents.map(() => null);
+  const listCounts = agents.map(() => 0);
+  const counts = agents.map(() => 0);
+
+  return {
+    async write({ assignments, unassigned, merges }) {
+      for (let i = 0; i < agents.length; i++) {
+        let agentItems = assignments[i];
+        counts[i] += agentItems.length;
+
+        while (agentItems.length > 0) {
+          const open = openLists[i];
+          const room = open ? MAX_LIST_ITEMS - open.size : 0;
+
+          if (room > 0) {
+            await List.appendItems(open._id, agentItems.slice(0, room));
+            open.size += Math.min(room, agentItems.length);
+            agentItems = agentItems.slice(room);
+            continue;
+          }
+
+          const part = agentItems.slice(0, MAX_LIST_ITEMS);
+          const list = await List.create({
+            organization: uploadData.organization,
+            uploadId: uploadData.uploadId,
+            fileName: uploadData.fileName,
+            originalFileName: uploadData.originalFileName,
+            agentId: agents[i]._id,
+            items: part,
+            distributionStrategy: uploadData.distributionStrategy,
+            uploadedBy: uploadData.uploadedBy,
+            uploadedViaApiKey: uploadData.uploadedViaApiKey,
+          });
+          openLists[i] = { _id: list._id, size: part.length };
+          listCounts[i] += 1;
+          agentItems = agentItems.slice(MAX_LIST_ITEMS);
+        }
+      }
+
+      if (unassigned.length > 0) {
+        await UnassignedItem.insertMany(
+          unassigned.map((item) => ({
+            ...item,
+            organization: uploadData.organization,
+            uploadId: uploadData.uploadId,
+            originalFileName: uploadData.originalFileName,
+            uploadedBy: uploadData.uploadedBy,
+          }))
+        );
+      }
+
+      await applyDuplicateMerges(uploadData.organization, merges);
+    },
+
+    async finish() {
+      if (markCountersApplied) await markCountersApplied();
+      for (let i = 0; i < agents.length; i++) {
+        if (counts[i] > 0) {
+          await Agent.adjustAssignedCounts(
+            agents[i]._id,
+            listCounts[i],
+            counts[i]
+          );
+        }
+      }
+    },
+  };
+};
+
+/**
+ * Writer staging batches of a preview until it is confirmed or expires
+ */
+export const createStagingWriter = (
+  agents,
+  { organization, uploadId, expiresAt }
+) => ({
+  async write({ assignments, unassigned, merges }) {
+    const staged = [
+      ...assignments.flatMap((agentItems, index) =>
+        agentItems.map((item) => ({ ...item, agentId: agents[index]._id }))
+      ),
+      ...unassigned,
+      ...merges.map(({ listId, itemId, notes }) => ({
+        mergeInto: { listId, itemId },
+        notes,
+      })),
+    ];
+
+    if (staged.length > 0) {
+      await StagedItem.insertMany(
+        staged.map((entry) => ({
+          ...entry,
+          organization,
+          uploadId,
+          expiresAt,
+        }))
+      );
+    }
+  },
+
+  async finish() {},
+});
+
+/**
+ * Replay the staged rows of a confirmed preview into `writer`, batch by
+ * batch, then remove them. Returns the items per agent and how many were
+ * held back, like distributeListFile. The staged rows are kept until
+ * discardStagedUpload, so an interrupted commit can be replayed.
+ */
+export const commitStagedItems = async (
+  { organization, uploadId },
+  agents,
+  writer,
+  { onProgress } = {}
+) => {
+  const batchSize = getImportBatchSize();
+  const agentIndexes = new Map(
+    agents.map((agent, index) => [String(agent._id), index])
+  );
+  const counts = agents.map(() => 0);
+  let heldBack = 0;
+  let batch = emptyBatch(agents);
+  let batchLength = 0;
+  let rowsProcessed = 0;
+
+  const cursor = StagedItem.find({ organization, uploadId })
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const staged of cursor) {
+    const { firstName, phone, notes, customFields, extraColumns } = staged;
+    const item = { firstName, phone, notes, customFields, extraColumns };
+
+    if (staged.mergeInto?.itemId) {
+      batch.merges.push({ ...staged.mergeInto, notes });
+    } else if (staged.agentId) {
+      const index = agentIndexes.get(String(staged.agentId));
+      batch.assignments[index].push(item);
+      counts[index] += 1;
+    } else {
+      batch.unassigned.push(item);
+      heldBack += 1;
+    }
+
+    batchLength += 1;
+    rowsProcessed += 1;
+    if (batchLength >= batchSize) {
+      await writer.write(batch);
+      batch = emptyBatch(agents);
+      batchLength = 0;
+      if (onProgress) await onProgress(rowsProcessed);
+    }
+  }
+
+  await writer.write(batch);
+  await writer.finish();
+
+  return { counts, heldBack };
+};
+
+/**
+ * Remove what a preview staged (once it is committed, rejected or
+ * superseded)
+ */
+export const discardStagedUpload = ({ organization, uploadId }) =>
+  Promise.all([
+    StagedItem.deleteMany({ organization, uploadId }),
+    RejectedRow.deleteMany({ organization, uploadId }),
+  ]);
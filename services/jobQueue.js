@@ -0,0 +1,367 @@
+import os from "os";
+import fs from "fs";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ImportJob from "../models/importJob.js";
+import { uploadJobHandlers } from "./uploadJobs.js";
+import { createHttpError } from "../utils/httpError.js";
+
+/**
+ * Background jobs persisted in MongoDB and run by an in-process worker,
+ * one at a time. A running job holds a lease (JOB_LEASE_SECONDS) that it
+ * renews while it reports progress; when a server stops mid-job the lease
+ * runs out and the job is claimed again, after its handler has cleaned up
+ * the interrupted attempt. Failures other than HTTP errors (bad input) are
+ * retried up to JOB_MAX_ATTEMPTS times with a growing delay; interrupted
+ * attempts count too, so a job that keeps stopping the server fails.
+ *
+ * Handlers ({ run, cleanup, complete, canRetry }, see services/uploadJobs.js)
+ * are registered per job type.
+ */
+
+const handlers = { ...uploadJobHandlers };
+
+const getLeaseMs = () => (parseInt(process.env.JOB_LEASE_SECONDS) || 60) * 1000;
+
+const getPollIntervalMs = () =>
+  parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+const getMaxAttempts = () => parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+const getRetentionMs = () =>
+  (parseInt(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// Finished jobs are purged at most this often
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+let pollTimer = null;
+let polling = false;
+let lastPurgeAt = 0;
+
+/**
+ * Register a handler for a job type
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+const stopError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Describe the job's creator like a request, for the audit log
+ */
+const buildAuditRequest = (job) => ({
+  organizationId: job.organization,
+  user: { _id: job.createdBy, email: job.createdByEmail },
+  apiKey: job.createdViaApiKey ? { _id: job.createdViaApiKey } : undefined,
+  ip: job.ip,
+  headers: { "user-agent": job.userAgent },
+});
+
+/**
+ * Set the final state of a job this worker holds
+ */
+const finishJob = (job, changes, unset = {}) =>
+  ImportJob.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: { ...changes, finishedAt: new Date() },
+      $unset: { lockedBy: "", lockedUntil: "", ...unset },
+    }
+  );
+
+/**
+ * Run a claimed job to its next state: completed, failed, cancelled, or
+ * queued again for a retry
+ */
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const leaseMs = getLeaseMs();
+
+  // Renews the lease; stops the job when it was cancelled or taken over
+  const reportProgress = async (changes = {}) => {
+    const current = await job.heartbeat(leaseMs, changes);
+    if (!current) throw stopError("JOB_LEASE_LOST", "Job lease lost");
+    if (current.cancelRequested) {
+      throw stopError("JOB_CANCELLED", "Job cancelled");
+    }
+    Object.assign(job, { countersApplied: current.countersApplied });
+  };
+
+  // Keep the lease through steps that don't report progress
+  const leaseTimer = setInterval(() => {
+    job.heartbeat(leaseMs).catch(() => {});
+  }, leaseMs / 3);
+
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+
+    // An earlier attempt may have stopped halfway
+    if (job.attempts > 1) {
+      await reportProgress({ stage: "recovering" });
+      await handler.cleanup(job);
+      await reportProgress({ countersApplied: false });
+    }
+
+    const { message, result } = await handler.run(job, {
+      reportProgress,
+      auditRequest: buildAuditRequest(job),
+    });
+
+    await finishJob(
+      job,
+      { status: "completed", stage: "completed", message, result },
+      { error: "" }
+    );
+  } catch (error) {
+    if (error.code === "JOB_LEASE_LOST") return;
+
+    if (error.code === "JOB_CANCELLED") {
+      await handler.cleanup(job);
+      await finishJob(job, {
+        status: "cancelled",
+        stage: "cancelled",
+        message: "Job cancelled",
+      });
+      return;
+    }
+
+    console.error(`Job ${job._id} error:`, error);
+
+    if (!error.status && job.attempts < getMaxAttempts()) {
+      await ImportJob.updateOne(
+        { _id: job._id, lockedBy: job.lockedBy },
+        {
+          $set: {
+            status: "queued",
+            stage: "queued",
+            error: { message: error.message },
+            runAfter: new Date(Date.now() + job.attempts * 30 * 1000),
+          },
+          $unset: { lockedBy: "", lockedUntil: "" },
+        }
+      );
+      return;
+    }
+
+    if (handler) await handler.cleanup(job);
+    await finishJob(job, {
+      status: "failed",
+      stage: "failed",
+      message: error.message,
+      error: { message: error.message, details: error.details },
+    });
+    return;
+  } finally {
+    clearInterval(leaseTimer);
+  }
+
+  // Housekeeping (e.g. removing the file); failing here must not undo the
+  // completed job, so it is only logged
+  try {
+    await handler.complete(job);
+  } catch (error) {
+    console.error(`Job ${job._id} completion error:`, error);
+  }
+};
+
+/**
+ * Fail a job whose last attempt stopped halfway (e.g. it crashed the server
+ * every time), after removing what it saved
+ */
+const failAbandonedJob = async (job) => {
+  const handler = handlers[job.type];
+  const leaseMs = getLeaseMs();
+  const message = `Job stopped without finishing after ${job.attempts} attempts`;
+
+  const leaseTimer = setInterval(() => {
+    job.heartbeat(leaseMs).catch(() => {});
+  }, leaseMs / 3);
+
+  try {
+    if (handler) await handler.cleanup(job);
+    await finishJob(job, {
+      status: "failed",
+      stage: "failed",
+      message,
+      error: { message },
+    });
+  } finally {
+    clearInterval(leaseTimer);
+  }
+};
+
+/**
+ * Delete jobs finished longer than JOB_RETENTION_DAYS ago, with their files
+ */
+const purgeFinishedJobs = async () => {
+  const jobs = await ImportJob.find({
+    status: { $in: ["completed", "failed", "cancelled"] },
+    finishedAt: { $lt: new Date(Date.now() - getRetentionMs()) },
+  })
+    .select("filePath")
+    .limit(100);
+
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.unlink(job.filePath).catch(() => {});
+    }
+  }
+
+  await ImportJob.deleteMany({ _id: { $in: jobs.map((job) => job._id) } });
+};
+
+/**
+ * Run due jobs until there are none left
+ */
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    let job;
+    while (
+      pollTimer &&
+      (job = await ImportJob.claimAbandoned(
+        workerId,
+        getLeaseMs(),
+        getMaxAttempts()
+      ))
+    ) {
+      await failAbandonedJob(job);
+    }
+
+    while (
+      pollTimer &&
+      (job = await ImportJob.claimNext(
+        workerId,
+        getLeaseMs(),
+        getMaxAttempts()
+      ))
+    ) {
+      await runJob(job);
+    }
+
+    if (Date.now() - lastPurgeAt > PURGE_INTERVAL_MS) {
+      lastPurgeAt = Date.now();
+      await purgeFinishedJobs();
+    }
+  } catch (error) {
+    console.error("Job worker error:", error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling for jobs (JOB_POLL_INTERVAL_MS)
+ */
+export const startJobWorker = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(poll, getPollIntervalMs());
+  poll();
+};
+
+/**
+ * Stop picking up new jobs; a running job finishes, or is resumed by
+ * another server once its lease runs out
+ */
+export const stopJobWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+/**
+ * Queue a job
+ */
+export const enqueueJob = (data) => ImportJob.create(data);
+
+const findJob = async (organization, jobId) => {
+  const job =
+    mongoose.Types.ObjectId.isValid(jobId) &&
+    (await ImportJob.findOne({ _id: jobId, organization }));
+  if (!job) throw createHttpError("Job not found", 404);
+  return job;
+};
+
+/**
+ * Cancel a job: queued jobs stop right away (undoing what an interrupted
+ * earlier attempt saved), running jobs at their next progress report
+ */
+export const cancelJob = async (organization, jobId) => {
+  const job = await findJob(organization, jobId);
+
+  if (job.status === "queued") {
+    const cancelled = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: "queued" },
+      {
+        $set: {
+          status: "cancelled",
+          stage: "cancelled",
+          message: "Job cancelled",
+          finishedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (cancelled) {
+      if (cancelled.attempts > 0) await handlers[job.type]?.cleanup(cancelled);
+      return cancelled;
+    }
+    // Claimed in the meantime: cancel it while running
+  } else if (job.status !== "running") {
+    throw createHttpError(`Job is already ${job.status}`, 400);
+  }
+
+  return ImportJob.findOneAndUpdate(
+    { _id: job._id },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+};
+
+/**
+ * Queue a failed or cancelled job again, from the start
+ */
+export const retryJob = async (organization, jobId) => {
+  const job = await findJob(organization, jobId);
+
+  if (!["failed", "cancelled"].includes(job.status)) {
+    throw createHttpError("Only failed or cancelled jobs can be retried", 400);
+  }
+
+  const handler = handlers[job.type];
+  if (!handler || !(await handler.canRetry(job))) {
+    throw createHttpError(
+      "The job's input is no longer available; upload the file again",
+      410
+    );
+  }
+
+  const retried = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: job.status },
+    {
+      $set: {
+        status: "queued",
+        stage: "queued",
+        attempts: 0,
+        runAfter: new Date(),
+        cancelRequested: false,
+        progress: { totalRows: 0, rowsScanned: 0, rowsProcessed: 0 },
+      },
+      $unset: { error: "", result: "", message: "", finishedAt: "" },
+    },
+    { new: true }
+  );
+  if (!retried) throw createHttpError("Job changed; try again", 409);
+
+  return retried;
+};
@@ -0,0 +1,147 @@
+import Papa from "papaparse";
+import List from "../models/list.js";
+import Agent from "../models/agent.js";
+import CustomField from "../models/customField.js";
+import { toCustomFieldMatch } from "./customFields.js";
+import { createXlsxStream } from "../utils/xlsxStream.js";
+import { drained } from "../utils/streams.js";
+import { CSV_FORMULA_PATTERN } from "../utils/csv.js";
+
+/**
+ * Exports of list items (one row per item) as CSV or XLSX, streamed into
+ * the response: lists are read one at a time and their items unwound by
+ * MongoDB, so neither whole lists nor the whole file are held in memory.
+ */
+
+/**
+ * Export columns; value({ list, agent, item }) gives the cell (Dates are
+ * written as ISO strings in CSV and as date cells in XLSX). The
+ * organization's custom fields follow as extra columns.
+ */
+export const EXPORT_COLUMNS = [
+  { header: "Upload ID", value: ({ list }) => list.uploadId },
+  { header: "File", value: ({ list }) => list.originalFileName },
+  { header: "Agent", value: ({ agent }) => agent?.name },
+  { header: "Agent Email", value: ({ agent }) => agent?.email },
+  { header: "First Name", value: ({ item }) => item.firstName },
+  { header: "Phone", value: ({ item }) => item.phone },
+  { header: "Notes", value: ({ item }) => item.notes },
+  { header: "Status", value: ({ item }) => item.status },
+  { header: "Contacted At", value: ({ item }) => item.contactedAt },
+  { header: "Completed At", value: ({ item }) => item.completedAt },
+  { header: "Callback At", value: ({ item }) => item.callback?.dueAt },
+  { header: "Distributed At", value: ({ list }) => list.distributedAt },
+];
+
+/**
+ * Create a CSV writer on `output`, with the same interface as
+ * createXlsxStream
+ */
+const createCsvStream = (output) => ({
+  async writeRow(values) {
+    if (output.destroyed) throw new Error("Output closed");
+
+    const cells = values.map((value) =>
+      value instanceof Date ? value.toISOString() : (value ?? "")
+    );
+
+    // Respect backpressure so large exports don't pile up in memory
+    const line = Papa.unparse([cells], {
+      escapeFormulae: CSV_FORMULA_PATTERN,
+    });
+    if (!output.write(line + "\r\n")) {
+      await drained(output);
+    }
+  },
+
+  async end() {
+    output.end();
+  },
+});
+
+/**
+ * Column of a custom field, headed by its label
+ */
+const toCustomFieldColumn = ({ key, label, type }) => ({
+  header: label,
+  value: ({ item }) => {
+    const value = item.customFields?.[key];
+    return type === "date" && value ? new Date(value) : value;
+  },
+});
+
+// Cells of uploaded columns no field took, as "Column: value" pairs
+const EXTRA_COLUMNS_COLUMN = {
+  header: "Other Columns",
+  value: ({ item }) =>
+    item.extraColumns?.map(({ name, value }) => `${name}: ${value}`).join("; "),
+};
+
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    create: createCsvStream,
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    create: createXlsxStream,
+  },
+};
+
+/**
+ * Stream the items of the organization's lists matching `match` (optionally
+ * only items with `status` and matching the `customFieldFilter` conditions)
+ * into `output` in the given format, ordered by distribution date. Returns
+ * the number of items exported.
+ */
+export const streamListExport = async (
+  output,
+  { organization, match, status, customFieldFilter = [], format, sheetName }
+) => {
+  const writer = EXPORT_FORMATS[format].create(output, { sheetName });
+  const customFields = await CustomField.findForOrganization(organization);
+  const columns = [
+    ...EXPORT_COLUMNS,
+    ...customFields.map(toCustomFieldColumn),
+    EXTRA_COLUMNS_COLUMN,
+  ];
+  const itemMatch = {
+    ...(status && { "items.status": status }),
+    ...toCustomFieldMatch(customFieldFilter, "items"),
+  };
+  const lists = await List.find({ ...match, organization })
+    .select("uploadId originalFileName agentId distributedAt")
+    .sort({ distributedAt: 1, _id: 1 })
+    .lean();
+  const agents = await Agent.find({
+    _id: { $in: [...new Set(lists.map((list) => String(list.agentId)))] },
+    organization,
+  })
+    .select("name email")
+    .lean();
+  const agentsById = new Map(agents.map((agent) => [String(agent._id), agent]));
+
+  await writer.writeRow(columns.map((column) => column.header));
+
+  let exported = 0;
+  for (const list of lists) {
+    const agent = agentsById.get(String(list.agentId));
+    const cursor = List.aggregate([
+      { $match: { _id: list._id } },
+      { $unwind: "$items" },
+      ...(Object.keys(itemMatch).length > 0 ? [{ $match: itemMatch }] : []),
+      { $replaceRoot: { newRoot: "$items" } },
+    ]).cursor();
+
+    for await (const item of cursor) {
+      await writer.writeRow(
+        columns.map((column) => column.value({ list, agent, item }))
+      );
+      exported += 1;
+    }
+  }
+
+  await writer.end();
+  return exported;
+};
@@ -0,0 +1,290 @@
+import { getImportFormat } from "./importFormats.js";
+import { parseCustomFieldValue } from "./customFields.js";
+import { createHttpError } from "../utils/httpError.js";
+
+/**
+ * Fields an imported row maps to, with the header names (normalized, see
+ * normalizeHeader) recognized for each when no mapping is given. Synonyms
+ * are listed in order of preference.
+ */
+export const IMPORT_FIELDS = {
+  firstName: {
+    label: "FirstName",
+    required: true,
+    synonyms: [
+      "firstname",
+      "first",
+      "fname",
+      "givenname",
+      "forename",
+      "name",
+      "contactname",
+      "fullname",
+      "customername",
+    ],
+  },
+  phone: {
+    label: "Phone",
+    required: true,
+    synonyms: [
+      "phone",
+      "phonenumber",
+      "phoneno",
+      "mobile",
+      "mobileno",
+      "mobilenumber",
+      "cell",
+      "cellphone",
+      "cellnumber",
+      "telephone",
+      "tel",
+      "contactnumber",
+      "contactno",
+    ],
+  },
+  notes: {
+    label: "Notes",
+    required: false,
+    synonyms: [
+      "notes",
+      "note",
+      "comments",
+      "comment",
+      "remarks",
+      "remark",
+      "description",
+      "details",
+    ],
+  },
+};
+
+/**
+ * Normalize a header for matching: "Mobile No." → "mobileno"
+ */
+export const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Open an uploaded file with the import format matching its extension (see
+ * services/importFormats.js): reads its headers and returns an async
+ * iterator of { rowNumber, row } (plus `sheet` when importing every sheet)
+ * with row objects keyed by header. formatOptions select the sheet.
+ */
+export const openListFile = async (
+  filePath,
+  fileExtension,
+  formatOptions = {}
+) => {
+  const format = getImportFormat(fileExtension);
+  if (!format) {
+    throw createHttpError(`Unsupported file type: ${fileExtension}`, 400);
+  }
+
+  if ((formatOptions.sheet || formatOptions.allSheets) && !format.multiSheet) {
+    throw createHttpError(
+      `Sheet selection is not supported for ${fileExtension} files`,
+      400
+    );
+  }
+
+  return format.open(filePath, formatOptions);
+};
+
+/**
+ * Describe the organization's custom fields like IMPORT_FIELDS, recognized
+ * by their key or label
+ */
+const describeCustomFields = (customFields) =>
+  Object.fromEntries(
+    customFields.map((field) => [
+      field.key,
+      {
+        label: field.label,
+        required: field.required,
+        synonyms: [
+          ...new Set([
+            normalizeHeader(field.key),
+            normalizeHeader(field.label),
+          ]),
+        ],
+      },
+    ])
+  );
+
+/**
+ * Work out which header feeds each field (including the organization's
+ * custom fields). Explicitly requested headers (field → header name) win;
+ * other fields are auto-detected by synonym. Throws a 400 error with a
+ * mismatch report when a requested header doesn't exist or a required field
+ * can't be mapped.
+ */
+export const resolveColumnMapping = (
+  headers,
+  requested = {},
+  customFields = []
+) => {
+  // Core fields first, so custom fields can't take their headers
+  const fields = { ...IMPORT_FIELDS, ...describeCustomFields(customFields) };
+  const mapping = {};
+  const problems = [];
+  const usedHeaders = new Set();
+
+  Object.keys(requested).forEach((field) => {
+    if (!fields[field]) {
+      problems.push(
+        `Unknown field "${field}". Fields: ${Object.keys(fields).join(", ")}`
+      );
+    }
+  });
+
+  // Explicit mappings first, so auto-detection can't take their headers
+  Object.keys(fields).forEach((field) => {
+    if (!requested[field]) return;
+
+    const header =
+      headers.find((h) => h === requested[field]) ||
+      headers.find(
+        (h) => normalizeHeader(h) === normalizeHeader(requested[field])
+      );
+
+    if (header) {
+      mapping[field] = header;
+      usedHeaders.add(header);
+    } else {
+      problems.push(`Column "${requested[field]}" for ${field} not found`);
+    }
+  });
+
+  Object.entries(fields).forEach(([field, { synonyms }]) => {
+    if (mapping[field] || requested[field]) return;
+
+    for (const synonym of synonyms) {
+      const header = headers.find(
+        (h) => !usedHeaders.has(h) && normalizeHeader(h) === synonym
+      );
+      if (header) {
+        mapping[field] = header;
+        usedHeaders.add(header);
+        break;
+      }
+    }
+  });
+
+  const missingFields = Object.keys(fields).filter(
+    (field) => fields[field].required && !mapping[field]
+  );
+
+  if (problems.length > 0 || missingFields.length > 0) {
+    const missingLabels = missingFields.map((field) => fields[field].label);
+
+    throw createHttpError(
+      missingFields.length > 0
+        ? `Could not map required columns: ${missingLabels.join(", ")}. Pass a columnMapping or use a mapping preset.`
+        : "Invalid column mapping",
+      400,
+      {
+        missingFields,
+        problems,
+        headers,
+        detectedMapping: mapping,
+        recognizedHeaders: Object.fromEntries(
+          Object.entries(fields).map(([field, { synonyms }]) => [
+            field,
+            synonyms,
+          ])
+        ),
+      }
+    );
+  }
+
+  return {
+    mapping,
+    unmappedHeaders: headers.filter((header) => !usedHeaders.has(header)),
+  };
+};
+
+/**
+ * Validate one row using a field → header mapping. Returns the cleaned item
+ * (with typed customFields when the organization defines some, and the
+ * non-empty cells of `extraHeaders`, the titled columns no field took, as
+ * extraColumns text) and every issue found ({ column, reason }); the item
+ * is only usable when there are no issues.
+ */
+export const validateListRow = (
+  row,
+  mapping,
+  customFields = [],
+  extraHeaders = []
+) => {
+  const valueOf = (field) =>
+    mapping[field] ? (row[mapping[field]] ?? "").toString().trim() : "";
+  const columnOf = (field) => mapping[field] || IMPORT_FIELDS[field].label;
+  const issues = [];
+
+  const firstName = valueOf("firstName");
+  if (!firstName) {
+    issues.push({ column: columnOf("firstName"), reason: "Is required" });
+  } else if (firstName.length > 100) {
+    issues.push({
+      column: columnOf("firstName"),
+      reason: "Cannot exceed 100 characters",
+    });
+  }
+
+  // Clean and validate phone number
+  const phone = valueOf("phone");
+  if (!phone) {
+    issues.push({ column: columnOf("phone"), reason: "Is required" });
+  } else if (!/^[+]?[\d\s()-]+$/.test(phone)) {
+    issues.push({
+      column: columnOf("phone"),
+      reason: "Invalid phone number format",
+    });
+  }
+
+  const notes = valueOf("notes");
+  if (notes.length > 500) {
+    issues.push({
+      column: columnOf("notes"),
+      reason: "Cannot exceed 500 characters",
+    });
+  }
+
+  const item = { firstName, phone, notes };
+
+  customFields.forEach((field) => {
+    if (!mapping[field.key]) return;
+
+    const { value, reason } = parseCustomFieldValue(
+      field,
+      row[mapping[field.key]]
+    );
+    if (reason) {
+      issues.push({ column: mapping[field.key], reason });
+    } else if (value !== undefined) {
+      item.customFields = { ...item.customFields, [field.key]: value };
+    }
+  });
+
+  extraHeaders.forEach((header) => {
+    // Untitled columns have no name to keep their cells under
+    if (!header.trim()) return;
+
+    const { value, reason } = parseCustomFieldValue(
+      { type: "text" },
+      row[header]
+    );
+    if (reason) {
+      issues.push({ column: header, reason });
+    } else if (value !== undefined) {
+      item.extraColumns = [
+        ...(item.extraColumns || []),
+        { name: header, value },
+      ];
+    }
+  });
+
+  return { item, issues };
+};
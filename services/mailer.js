@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Mail transports. A transport is an async function receiving
+ * { to, subject, text } and delivering it somewhere.
+ */
+const transports = {
+  // Print messages to the server log. Bodies carry live reset and invite
+  // links, so they are only printed when NODE_ENV is "development".
+  console: async (message) => {
+    if (process.env.NODE_ENV === "development") {
+      console.log(
+        `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+      );
+    } else {
+      console.log(
+        `📧 Mail to ${message.to}: ${message.subject} (body not logged; set MAIL_TRANSPORT to deliver it)`
+      );
+    }
+  },
+
+  // Write each message as a JSON file into the outbox directory
+  file: async (message) => {
+    const outboxDir =
+      process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox");
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+};
+
+/**
+ * Register a custom mail transport (e.g. SMTP or a provider API)
+ */
+export const registerMailTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send a mail through the transport selected by MAIL_TRANSPORT
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  const transportName = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "no-reply@agent-management.local",
+    to,
+    subject,
+    text,
+  });
+};
@@ -0,0 +1,50 @@
+import PasswordResetToken from "../models/passwordResetToken.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * Issue a reset token and build the link to the frontend reset page
+ */
+const createResetLink = async (subjectType, account, ttlMinutes) => {
+  const token = await PasswordResetToken.issue(
+    subjectType,
+    account._id,
+    ttlMinutes
+  );
+
+  const baseUrl =
+    process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password";
+  return `${baseUrl}?token=${token}&type=${subjectType}`;
+};
+
+/**
+ * Issue a reset token for a user or agent and mail them the reset link
+ */
+export const sendPasswordResetEmail = async (subjectType, account) => {
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+  const link = await createResetLink(subjectType, account, ttlMinutes);
+
+  await sendMail({
+    to: account.email,
+    subject: "Reset your password",
+    text:
+      `A password reset was requested for your account.\n\n` +
+      `Use this link within ${ttlMinutes} minutes to choose a new password:\n${link}\n\n` +
+      `If you didn't request this, you can ignore this email.`,
+  });
+};
+
+/**
+ * Mail a newly created user a link to choose their first password
+ */
+export const sendInviteEmail = async (subjectType, account) => {
+  const ttlHours = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+  const link = await createResetLink(subjectType, account, ttlHours * 60);
+
+  await sendMail({
+    to: account.email,
+    subject: "You've been invited to Agent Management",
+    text:
+      `An account has been created for you.\n\n` +
+      `Use this link within ${ttlHours} hours to choose your password:\n${link}`,
+  });
+};
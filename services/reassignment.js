@@ -0,0 +1,274 @@
+import List, { MAX_LIST_ITEMS } from "../models/list.js";
+import Agent from "../models/agent.js";
+import UnassignedItem from "../models/unassignedItem.js";
+import { assignItems } from "./distribution.js";
+import { createHttpError } from "../utils/httpError.js";
+
+/**
+ * Find an active agent of the organization that items can be moved to
+ */
+export const findTargetAgent = async (organization, agentId) => {
+  const agent = await Agent.findOne({ _id: agentId, organization });
+  if (!agent) {
+    throw createHttpError("Target agent not found", 404);
+  }
+  if (!agent.isActive) {
+    throw createHttpError("Target agent is deactivated", 400);
+  }
+  return agent;
+};
+
+/**
+ * Take items out of a list; the list is deleted when it ends up empty.
+ * Items are pulled atomically instead of saving `list`, whose items may be
+ * stale by now. Returns the removed items as plain objects (keeping their
+ * IDs).
+ */
+const removeItemsFromList = async (list, itemIds) => {
+  const ids = new Set(itemIds.map(String));
+  const removed = list.items
+    .filter((item) => ids.has(String(item._id)))
+    .map((item) => item.toObject());
+
+  if (removed.length === 0) return removed;
+
+  await List.updateOne(
+    { _id: list._id },
+    { $pull: { items: { _id: { $in: removed.map((item) => item._id) } } } }
+  );
+
+  const deleted = await List.deleteOne({ _id: list._id, items: { $size: 0 } });
+  if (deleted.deletedCount > 0) {
+    await Agent.adjustAssignedCounts(list.agentId, -1, -removed.length);
+  } else {
+    // Saving recomputes the list counters
+    await (await List.findById(list._id))?.save();
+    await Agent.adjustAssignedCounts(list.agentId, 0, -removed.length);
+  }
+
+  return removed;
+};
+
+/**
+ * Add items to an agent's lists of the same upload as `source`: a list with
+ * room takes what fits, new lists of up to MAX_LIST_ITEMS take the rest.
+ * Returns the first list the items went to.
+ */
+const addItemsToAgent = async (source, agentId, items) => {
+  if (items.length === 0) return null;
+
+  let remaining = items;
+  let first = null;
+  let created = 0;
+
+  const open = await List.findOne({
+    organization: source.organization,
+    uploadId: source.uploadId,
+    agentId,
+    totalItems: { $lt: MAX_LIST_ITEMS },
+  }).sort({ totalItems: 1 });
+
+  if (open) {
+    const room = MAX_LIST_ITEMS - open.items.length;
+    open.items.push(...remaining.slice(0, room));
+    await open.save();
+    remaining = remaining.slice(room);
+    first = open;
+  }
+
+  while (remaining.length > 0) {
+    const list = await List.create({
+      organization: source.organization,
+      uploadId: source.uploadId,
+      fileName: source.fileName,
+      originalFileName: source.originalFileName,
+      agentId,
+      items: remaining.slice(0, MAX_LIST_ITEMS),
+      distributionStrategy: source.distributionStrategy,
+      uploadedBy: source.uploadedBy,
+      uploadedViaApiKey: source.uploadedViaApiKey,
+    });
+    remaining = remaining.slice(MAX_LIST_ITEMS);
+    created += 1;
+    first = first || list;
+  }
+
+  await Agent.adjustAssignedCounts(agentId, created, items.length);
+  return first;
+};
+
+/**
+ * Move selected items of a list to another agent
+ */
+export const moveItems = async (list, itemIds, toAgent) => {
+  if (list.agentId.equals(toAgent._id)) {
+    throw createHttpError("Items are already assigned to this agent", 400);
+  }
+
+  const missing = itemIds.filter((itemId) => !list.items.id(itemId));
+  if (missing.length > 0) {
+    throw createHttpError(
+      `Items not found in list: ${missing.join(", ")}`,
+      404
+    );
+  }
+
+  // Copies are saved before the originals are removed, so a failure midway
+  // can't lose items
+  const ids = new Set(itemIds.map(String));
+  const items = list.items
+    .filter((item) => ids.has(String(item._id)))
+    .map((item) => item.toObject());
+  const target = await addItemsToAgent(list, toAgent._id, items);
+  await removeItemsFromList(list, itemIds);
+
+  return { movedItems: items.length, targetList: target };
+};
+
+/**
+ * Move a whole list to another agent (merged into the agent's lists of the
+ * same upload if there are any)
+ */
+export const moveList = async (list, toAgent) => {
+  if (list.agentId.equals(toAgent._id)) {
+    throw createHttpError("List is already assigned to this agent", 400);
+  }
+
+  const existing = await List.exists({
+    organization: list.organization,
+    uploadId: list.uploadId,
+    agentId: toAgent._id,
+  });
+
+  if (existing) {
+    return moveItems(
+      list,
+      list.items.map((item) => item._id),
+      toAgent
+    );
+  }
+
+  const fromAgentId = list.agentId;
+  list.agentId = toAgent._id;
+  await list.save();
+
+  await Agent.adjustAssignedCounts(fromAgentId, -1, -list.totalItems);
+  await Agent.adjustAssignedCounts(toAgent._id, 1, list.totalItems);
+
+  return { movedItems: list.totalItems, targetList: list };
+};
+
+/**
+ * Redistribute the pending items of an upload (plus its rows in the
+ * unassigned pool) across the organization's current active agents
+ */
+export const rebalanceUpload = async (organization, uploadId, { strategy }) => {
+  const lists = await List.find({ organization, uploadId });
+  const poolItems = await UnassignedItem.find({ organization, uploadId });
+
+  if (lists.length === 0 && poolItems.length === 0) {
+    throw createHttpError("No distributions found for this upload", 404);
+  }
+
+  const agents = await Agent.findActiveAgents(organization);
+  if (agents.length === 0) {
+    throw createHttpError("No active agents available for distribution", 400);
+  }
+
+  // Any list of the upload works as template for lists created below
+  const source = lists[0] || {
+    organization,
+    uploadId,
+    fileName: poolItems[0].originalFileName,
+    originalFileName: poolItems[0].originalFileName,
+    uploadedBy: poolItems[0].uploadedBy,
+  };
+
+  // Pending items stay in their lists until their new places are saved, so
+  // a failure midway can leave duplicates but never loses leads
+  const origins = new Map();
+  const items = [];
+  for (const list of lists) {
+    list.items
+      .filter((item) => item.status === "pending")
+      .forEach((item) => {
+        const plain = item.toObject();
+        origins.set(plain, list);
+        items.push(plain);
+      });
+  }
+  items.push(
+    ...poolItems.map(
+      ({ firstName, phone, notes, customFields, extraColumns }) => ({
+        firstName,
+        phone,
+        notes,
+        customFields,
+        extraColumns,
+      })
+    )
+  );
+
+  // Loads without the pending items being redistributed
+  const loads = await List.getOpenLoads(agents.map((agent) => agent._id));
+  origins.forEach((list) => {
+    const key = String(list.agentId);
+    loads.set(key, (loads.get(key) || 0) - 1);
+  });
+
+  const { assignments, unassigned } = assignItems(items, agents, {
+    strategy,
+    loads,
+  });
+
+  // Items landing back with their agent stay where they are
+  const moved = new Set();
+  for (let i = 0; i < agents.length; i++) {
+    const moving = assignments[i].filter(
+      (item) => !origins.get(item)?.agentId.equals(agents[i]._id)
+    );
+    await addItemsToAgent(source, agents[i]._id, moving);
+    moving.forEach((item) => moved.add(item));
+  }
+
+  if (unassigned.length > 0) {
+    await UnassignedItem.insertMany(
+      unassigned.map(
+        ({ firstName, phone, notes, customFields, extraColumns }) => ({
+          organization,
+          uploadId,
+          originalFileName: source.originalFileName,
+          firstName,
+          phone,
+          notes,
+          customFields,
+          extraColumns,
+          uploadedBy: source.uploadedBy,
+        })
+      )
+    );
+  }
+  unassigned.forEach((item) => moved.add(item));
+
+  // Now remove the originals of everything that moved
+  await UnassignedItem.deleteMany({
+    _id: { $in: poolItems.map((item) => item._id) },
+  });
+  for (const list of lists) {
+    const ids = [...origins]
+      .filter(([item, origin]) => origin === list && moved.has(item))
+      .map(([item]) => item._id);
+    if (ids.length > 0) await removeItemsFromList(list, ids);
+  }
+
+  return {
+    totalItems: items.length,
+    heldBack: unassigned.length,
+    distributions: agents
+      .map((agent, index) => ({
+        agent: { id: agent._id, name: agent.name, email: agent.email },
+        itemsCount: assignments[index].length,
+      }))
+      .filter((entry) => entry.itemsCount > 0),
+  };
+};
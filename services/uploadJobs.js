@@ -0,0 +1,404 @@
+import fs from "fs";
+import path from "path";
+import List from "../models/list.js";
+import Agent from "../models/agent.js";
+import UnassignedItem from "../models/unassignedItem.js";
+import UploadPreview from "../models/uploadPreview.js";
+import RejectedRow from "../models/rejectedRow.js";
+import StagedItem from "../models/stagedItem.js";
+import ImportJob from "../models/importJob.js";
+import { recordAudit } from "./audit.js";
+import {
+  commitStagedItems,
+  createListWriter,
+  createStagingWriter,
+  discardStagedUpload,
+  distributeListFile,
+  scanListFile,
+} from "./importPipeline.js";
+import { createHttpError } from "../utils/httpError.js";
+
+/**
+ * Job handlers for uploads (see services/jobQueue.js). run(job, context)
+ * returns the finished job's { message, result }; cleanup(job) removes
+ * whatever an interrupted, failed or cancelled attempt wrote under the
+ * job's upload ID; complete(job) drops what is no longer needed once the
+ * job succeeded; canRetry(job) says whether the job's input still exists.
+ */
+
+/**
+ * Describe the rows a partial import skipped (no download link for
+ * previews that can't be confirmed)
+ */
+const summarizeRejectedRows = (
+  uploadId,
+  { rejectedRows, totalErrors, errors }
+) => ({
+  rejectedRows,
+  errors,
+  totalErrors,
+  rejectedRowsUrl:
+    uploadId && rejectedRows > 0
+      ? `/api/lists/upload/${uploadId}/rejected-rows`
+      : undefined,
+});
+
+/**
+ * Describe how many items each agent gets in a distribution
+ */
+const summarizeAssignments = (agents, counts) =>
+  agents
+    .map((agent, index) => ({
+      agent: { id: agent._id, name: agent.name, email: agent.email },
+      itemsCount: counts[index],
+    }))
+    .filter((entry) => entry.itemsCount > 0);
+
+/**
+ * Find the agents a preview was planned for, in the planned order; null if
+ * one of them is gone or deactivated
+ */
+export const findPlannedAgents = async (organization, agentIds) => {
+  const activeAgents = await Agent.find({
+    _id: { $in: agentIds },
+    organization,
+    isActive: true,
+  });
+  const agents = agentIds.map((agentId) =>
+    activeAgents.find((agent) => agent._id.equals(agentId))
+  );
+
+  return agents.some((agent) => !agent) ? null : agents;
+};
+
+/**
+ * Record a saved distribution in the audit log and build the upload's
+ * result (extraData is added to it)
+ */
+const completeUpload = async (
+  auditRequest,
+  { counts, heldBack },
+  agents,
+  uploadData,
+  extraData = {}
+) => {
+  const totalItems = counts.reduce((sum, count) => sum + count, heldBack);
+  const summary = summarizeAssignments(agents, counts);
+
+  await recordAudit(auditRequest, {
+    action: "list.upload",
+    targetType: "upload",
+    targetId: uploadData.uploadId,
+    metadata: {
+      originalFileName: uploadData.originalFileName,
+      strategy: uploadData.distributionStrategy,
+      totalItems,
+      heldBack,
+      duplicates: extraData.duplicates,
+      distributions: summary.map((entry) => ({
+        agentId: entry.agent.id,
+        itemsCount: entry.itemsCount,
+      })),
+    },
+  });
+
+  return {
+    message:
+      heldBack > 0
+        ? `File uploaded; ${heldBack} row(s) held back in the unassigned pool because agents are at capacity`
+        : "File uploaded and distributed successfully",
+    result: {
+      uploadId: uploadData.uploadId,
+      strategy: uploadData.distributionStrategy,
+      totalItems,
+      totalAgents: agents.length,
+      heldBack,
+      distributions: summary,
+      ...extraData,
+    },
+  };
+};
+
+/**
+ * Remove the lists and held-back rows written under a job's upload ID,
+ * taking them back out of the agent counters if they were counted
+ */
+const removeWrittenItems = async (job) => {
+  const query = { organization: job.organization, uploadId: job.uploadId };
+
+  if (job.countersApplied) {
+    const lists = await List.find(query).select("agentId totalItems");
+    for (const list of lists) {
+      await Agent.adjustAssignedCounts(list.agentId, -1, -list.totalItems);
+    }
+  }
+
+  await List.deleteMany(query);
+  await UnassignedItem.deleteMany(query);
+};
+
+/**
+ * Record that agent counters include what the job wrote, just before they
+ * are adjusted, so a crash can't leave them counted without the flag. Not
+ * a progress report: a cancel request must not stop the job in between.
+ */
+const markCountersApplied = async (job) => {
+  const marked = await ImportJob.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy, status: "running" },
+    { $set: { countersApplied: true } }
+  );
+  if (marked.matchedCount === 0) {
+    const error = new Error("Job lease lost");
+    error.code = "JOB_LEASE_LOST";
+    throw error;
+  }
+  job.countersApplied = true;
+};
+
+const uploadJob = {
+  /**
+   * Scan the uploaded file, then distribute it into lists, or stage the
+   * split for confirmation when it is a preview
+   */
+  run: async (job, { reportProgress, auditRequest }) => {
+    const {
+      strategy,
+      partial,
+      duplicatePolicy,
+      preview,
+      requestedMapping,
+      formatOptions,
+    } = job.options;
+    const organization = job.organization;
+    const source = {
+      filePath: job.filePath,
+      fileExtension: path.extname(job.originalFileName).toLowerCase(),
+      formatOptions,
+    };
+
+    if (!fs.existsSync(source.filePath)) {
+      throw createHttpError("Uploaded file is no longer available", 410);
+    }
+
+    // Get active agents for distribution
+    const agents = await Agent.findActiveAgents(organization);
+    if (agents.length === 0) {
+      throw createHttpError("No active agents available for distribution", 400);
+    }
+
+    // First pass: map columns to fields, validate rows, find duplicates
+    await reportProgress({ stage: "scanning" });
+    const scan = await scanListFile(source, {
+      organization,
+      requestedMapping,
+      duplicatePolicy,
+      onProgress: (rows) => reportProgress({ "progress.rowsScanned": rows }),
+    });
+    await reportProgress({
+      stage: "distributing",
+      "progress.totalRows": scan.totalRows,
+      "progress.rowsScanned": scan.totalRows,
+    });
+
+    if (scan.rejectedRows > 0 && !preview && !partial) {
+      await scan.duplicates.discard();
+      throw createHttpError(
+        `Data validation failed: ${scan.rejectedRows} row(s) have errors. Fix them or upload with partial=true to skip them.`,
+        400,
+        { rejectedRows: scan.rejectedRows, errors: scan.errors }
+      );
+    }
+
+    if (scan.validRows === 0 && !preview) {
+      await scan.duplicates.discard();
+      throw createHttpError("No valid data rows found in the file", 400);
+    }
+
+    const uploadData = {
+      organization,
+      uploadId: job.uploadId,
+      fileName: job.fileName,
+      originalFileName: job.originalFileName,
+      distributionStrategy: strategy,
+      uploadedBy: job.createdBy,
+      uploadedViaApiKey: job.createdViaApiKey,
+    };
+    const onProgress = (rows) =>
+      reportProgress({ "progress.rowsProcessed": rows });
+
+    if (preview) {
+      const uploadPreview = await UploadPreview.findOne({
+        _id: job.previewId,
+        organization,
+      });
+      if (!uploadPreview) {
+        throw createHttpError("Preview expired before it was processed", 400);
+      }
+
+      // Previews with row errors can only be committed as partial imports
+      const canConfirm =
+        scan.validRows > 0 && (scan.rejectedRows === 0 || partial);
+
+      // Second pass: stage the split (or just count it when the preview
+      // can't be confirmed)
+      const result = await distributeListFile(source, scan, agents, {
+        strategy,
+        uploadData,
+        writer:
+          canConfirm &&
+          createStagingWriter(agents, {
+            ...uploadData,
+            expiresAt: uploadPreview.expiresAt,
+          }),
+        rejectedRowsExpireAt: canConfirm && uploadPreview.expiresAt,
+        onProgress,
+      });
+
+      if (canConfirm) {
+        Object.assign(uploadPreview, {
+          agentIds: agents.map((agent) => agent._id),
+          totalItems: result.counts.reduce(
+            (sum, count) => sum + count,
+            result.heldBack
+          ),
+          duplicates: scan.duplicates.counts,
+          rejectedRows: scan.rejectedRows,
+          totalErrors: scan.totalErrors,
+          rowErrors: scan.errors,
+          readyAt: new Date(),
+        });
+        await uploadPreview.save();
+      } else {
+        await UploadPreview.deleteOne({ _id: uploadPreview._id });
+      }
+
+      return {
+        message: canConfirm
+          ? "Preview ready. Confirm it to save the distribution."
+          : "Preview has validation errors and cannot be confirmed without partial=true",
+        result: {
+          preview: true,
+          canConfirm,
+          expiresAt: canConfirm ? uploadPreview.expiresAt : undefined,
+          strategy,
+          totalRows: scan.totalRows,
+          validRows: scan.validRows,
+          duplicates: scan.duplicates.counts,
+          ...summarizeRejectedRows(null, scan),
+          totalAgents: agents.length,
+          heldBack: result.heldBack,
+          distributions: summarizeAssignments(agents, result.counts),
+          columnMapping: scan.mapping,
+          unmappedHeaders: scan.unmappedHeaders,
+        },
+      };
+    }
+
+    // Second pass: write the rows to the agents' lists in batches
+    const result = await distributeListFile(source, scan, agents, {
+      strategy,
+      uploadData,
+      writer: createListWriter(agents, uploadData, {
+        markCountersApplied: () => markCountersApplied(job),
+      }),
+      rejectedRowsExpireAt: RejectedRow.getExpiry(),
+      onProgress,
+    });
+
+    return completeUpload(auditRequest, result, agents, uploadData, {
+      columnMapping: scan.mapping,
+      unmappedHeaders: scan.unmappedHeaders,
+      duplicates: scan.duplicates.counts,
+      ...summarizeRejectedRows(uploadData.uploadId, scan),
+    });
+  },
+
+  cleanup: async (job) => {
+    await removeWrittenItems(job);
+    await discardStagedUpload(job);
+  },
+
+  complete: async (job) => {
+    fs.promises.unlink(job.filePath).catch(() => {});
+  },
+
+  canRetry: (job) => Boolean(job.filePath) && fs.existsSync(job.filePath),
+};
+
+const confirmJob = {
+  /**
+   * Move the staged rows of a confirmed preview into lists
+   */
+  run: async (job, { reportProgress, auditRequest }) => {
+    const {
+      strategy,
+      agentIds,
+      duplicates,
+      rejected,
+      // Jobs queued before the uploader was kept in the options
+      uploadedBy = job.createdBy,
+      uploadedViaApiKey = job.createdViaApiKey,
+    } = job.options;
+
+    const agents = await findPlannedAgents(job.organization, agentIds);
+    if (!agents) {
+      throw createHttpError(
+        "Agents have changed since the preview was made. Please preview the upload again.",
+        409
+      );
+    }
+
+    const uploadData = {
+      organization: job.organization,
+      uploadId: job.uploadId,
+      fileName: job.fileName,
+      originalFileName: job.originalFileName,
+      distributionStrategy: strategy,
+      uploadedBy,
+      uploadedViaApiKey,
+    };
+
+    await reportProgress({ stage: "distributing" });
+    const result = await commitStagedItems(
+      uploadData,
+      agents,
+      createListWriter(agents, uploadData, {
+        markCountersApplied: () => markCountersApplied(job),
+      }),
+      {
+        onProgress: (rows) =>
+          reportProgress({ "progress.rowsProcessed": rows }),
+      }
+    );
+    await RejectedRow.keepForUpload(uploadData);
+
+    return completeUpload(auditRequest, result, agents, uploadData, {
+      duplicates,
+      ...summarizeRejectedRows(uploadData.uploadId, rejected),
+    });
+  },
+
+  // The staged rows stay, so the confirmation can be retried
+  cleanup: removeWrittenItems,
+
+  complete: async (job) => {
+    await StagedItem.deleteMany({
+      organization: job.organization,
+      uploadId: job.uploadId,
+    });
+    await UploadPreview.deleteOne({ _id: job.previewId });
+  },
+
+  canRetry: async (job) =>
+    Boolean(
+      await StagedItem.exists({
+        organization: job.organization,
+        uploadId: job.uploadId,
+      })
+    ),
+};
+
+export const uploadJobHandlers = {
+  upload: uploadJob,
+  confirm: confirmJob,
+};
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import XLSX from "xlsx";
+import { getImportFormat } from "../services/importFormats.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "import-formats-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const readRowNumbers = async (fileName, options) => {
+  const filePath = path.join(tempDir, fileName);
+  const { rows } = await getImportFormat(path.extname(fileName)).open(
+    filePath,
+    options
+  );
+  const numbers = [];
+  for await (const { rowNumber } of rows) numbers.push(rowNumber);
+  return numbers;
+};
+
+test("CSV row numbers count blank lines", async () => {
+  fs.writeFileSync(
+    path.join(tempDir, "blank.csv"),
+    "Name,Phone\nAna,1\n\nBo,2\n,\nCy,3\n"
+  );
+
+  assert.deepEqual(await readRowNumbers("blank.csv"), [2, 4, 6]);
+});
+
+test("sheet row numbers are those of the sheet", async () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    [],
+    ["Name", "Phone"],
+    ["Ana", "1"],
+    [],
+    ["Bo", "2"],
+  ]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Leads");
+  XLSX.writeFile(workbook, path.join(tempDir, "blank.xlsx"));
+
+  assert.deepEqual(await readRowNumbers("blank.xlsx"), [3, 5]);
+});
+
+test("JSON row numbers are positions in the array", async () => {
+  fs.writeFileSync(
+    path.join(tempDir, "rows.json"),
+    JSON.stringify([
+      { Name: "Ana", Phone: "1" },
+      { Name: "Bo", Phone: "2" },
+    ])
+  );
+
+  assert.deepEqual(await readRowNumbers("rows.json"), [1, 2]);
+});
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveColumnMapping,
+  validateListRow,
+} from "../services/listImport.js";
+
+test("extra columns keep their cells under the header", () => {
+  const { mapping, unmappedHeaders } = resolveColumnMapping([
+    "Name",
+    "Phone",
+    "City",
+  ]);
+  const { item, issues } = validateListRow(
+    { Name: "Ana", Phone: "555 0100", City: " Lisbon " },
+    mapping,
+    [],
+    unmappedHeaders
+  );
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(item.extraColumns, [{ name: "City", value: "Lisbon" }]);
+});
+
+test("a column with a blank header is skipped, not saved without a name", () => {
+  const { mapping, unmappedHeaders } = resolveColumnMapping([
+    "Name",
+    "Phone",
+    "",
+  ]);
+  const { item, issues } = validateListRow(
+    { Name: "Ana", Phone: "555 0100", "": "stray note" },
+    mapping,
+    [],
+    unmappedHeaders
+  );
+
+  assert.deepEqual(issues, []);
+  assert.equal(item.extraColumns, undefined);
+});
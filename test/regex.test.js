@@ -0,0 +1,11 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { escapeRegExp } from "../utils/regex.js";
+
+test("escaped input matches itself literally", () => {
+  for (const input of ["(a+)+$", "[", "a.b*c", "user+tag@example.com"]) {
+    const pattern = new RegExp(`^${escapeRegExp(input)}$`);
+    assert.ok(pattern.test(input), input);
+  }
+  assert.equal(new RegExp(escapeRegExp("a.b")).test("axb"), false);
+});
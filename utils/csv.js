@@ -0,0 +1,6 @@
+/**
+ * Cells a spreadsheet would run as a formula, for papaparse's
+ * escapeFormulae option (they get a leading quote). Values made only of
+ * phone characters ("+1 (555) 010-2000") are left alone.
+ */
+export const CSV_FORMULA_PATTERN = /^(?:[=@\t\r]|[+-](?![\d\s().-]*$))/;
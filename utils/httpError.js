@@ -0,0 +1,10 @@
+/**
+ * Build an error carrying the HTTP status (and optional structured details)
+ * controllers should answer with
+ */
+export const createHttpError = (message, status, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) error.details = details;
+  return error;
+};
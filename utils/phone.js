@@ -0,0 +1,5 @@
+/**
+ * Reduce a phone number to its digits so differently formatted copies of
+ * the same number compare equal: "+1 (555) 010-2000" → "15550102000"
+ */
+export const normalizePhone = (phone) => String(phone ?? "").replace(/\D/g, "");
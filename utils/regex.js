@@ -0,0 +1,6 @@
+/**
+ * Escape user input for use inside a regular expression (or a MongoDB
+ * $regex), so it matches literally: "a+(b" → "a\+\(b"
+ */
+export const escapeRegExp = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
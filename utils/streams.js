@@ -0,0 +1,16 @@
+/**
+ * Resolve once `output` can take more data after write() returned false,
+ * or once it is closed (e.g. the client went away), so writers never wait
+ * forever; check output.destroyed afterwards to stop writing
+ */
+export const drained = (output) =>
+  new Promise((resolve) => {
+    if (output.destroyed) return resolve();
+    const done = () => {
+      output.off("drain", done);
+      output.off("close", done);
+      resolve();
+    };
+    output.on("drain", done);
+    output.on("close", done);
+  });
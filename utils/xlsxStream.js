@@ -0,0 +1,238 @@
+import zlib from "zlib";
+import { once } from "events";
+import { drained } from "./streams.js";
+
+/**
+ * Minimal XLSX writer streaming a single-sheet workbook into a writable
+ * stream row by row (SheetJS can only build workbooks in memory). The
+ * workbook is a zip whose entries are deflated as they are written, with
+ * sizes in data descriptors, so nothing but the current row is buffered.
+ * Strings are written inline, Date values as date cells. No zip64: the
+ * file must stay under 4GB.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const STATIC_ENTRIES = {
+  "[Content_Types].xml":
+    XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/_rels/workbook.xml.rels":
+    XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    "</Relationships>",
+  // Style 1 is used for dates (built-in format 22, "m/d/yy h:mm")
+  "xl/styles.xml":
+    XML_HEADER +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+    "</styleSheet>",
+};
+
+const escapeXml = (value) =>
+  String(value)
+    // Control characters aren't allowed in XML
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Excel date serial: days since 1899-12-30
+const toDateSerial = (date) => date.getTime() / 86400000 + 25569;
+
+const toCellXml = (value) => {
+  if (value === null || value === undefined || value === "") return "<c/>";
+  if (value instanceof Date) {
+    return `<c s="1"><v>${toDateSerial(value)}</v></c>`;
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const localFileHeader = (entry) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4); // version needed
+  header.writeUInt16LE(0x0808, 6); // data descriptor, UTF-8 names
+  header.writeUInt16LE(8, 8); // deflate
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.date, 12);
+  // CRC and sizes are in the data descriptor
+  header.writeUInt16LE(entry.name.length, 26);
+  return Buffer.concat([header, entry.name]);
+};
+
+const dataDescriptor = (entry) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc >>> 0, 4);
+  descriptor.writeUInt32LE(entry.compressedSize, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+};
+
+const centralDirectoryHeader = (entry) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4); // version made by
+  header.writeUInt16LE(20, 6); // version needed
+  header.writeUInt16LE(0x0808, 8);
+  header.writeUInt16LE(8, 10);
+  header.writeUInt16LE(entry.time, 12);
+  header.writeUInt16LE(entry.date, 14);
+  header.writeUInt32LE(entry.crc >>> 0, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.name]);
+};
+
+const endOfCentralDirectory = (count, size, start) => {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(start, 16);
+  return end;
+};
+
+/**
+ * Create a workbook writer on `output`: await writeRow(values) for every
+ * row (the first being the headers), then await end(). Throws once the
+ * output is closed (e.g. the client went away).
+ */
+export const createXlsxStream = (output, { sheetName = "Sheet1" } = {}) => {
+  const entries = [];
+  let offset = 0;
+  let sheet = null;
+
+  // Write to the output; true when it asks to wait for "drain"
+  const push = (buffer) => {
+    offset += buffer.length;
+    return !output.write(buffer);
+  };
+
+  const assertOpen = () => {
+    if (output.destroyed) throw new Error("Output closed");
+  };
+
+  // Start a zip entry whose content is deflated as it is written
+  const openEntry = async (fileName) => {
+    assertOpen();
+    const entry = {
+      name: Buffer.from(fileName, "utf8"),
+      ...dosDateTime(new Date()),
+      offset,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+    };
+    entries.push(entry);
+    if (push(localFileHeader(entry))) await drained(output);
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on("data", (chunk) => {
+      entry.compressedSize += chunk.length;
+      if (push(chunk)) {
+        deflate.pause();
+        drained(output).then(() => deflate.resume());
+      }
+    });
+    const ended = once(deflate, "end");
+
+    return {
+      async write(text) {
+        assertOpen();
+        const buffer = Buffer.from(text, "utf8");
+        entry.crc = zlib.crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) await once(deflate, "drain");
+      },
+
+      async close() {
+        deflate.end();
+        await ended;
+        assertOpen();
+        if (push(dataDescriptor(entry))) await drained(output);
+      },
+    };
+  };
+
+  const writeEntry = async (fileName, content) => {
+    const entry = await openEntry(fileName);
+    await entry.write(content);
+    await entry.close();
+  };
+
+  return {
+    async writeRow(values) {
+      if (!sheet) {
+        for (const [fileName, content] of Object.entries(STATIC_ENTRIES)) {
+          await writeEntry(fileName, content);
+        }
+        await writeEntry(
+          "xl/workbook.xml",
+          XML_HEADER +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+            "</workbook>"
+        );
+        sheet = await openEntry("xl/worksheets/sheet1.xml");
+        await sheet.write(
+          XML_HEADER +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+        );
+      }
+
+      await sheet.write(`<row>${values.map(toCellXml).join("")}</row>`);
+    },
+
+    async end() {
+      if (!sheet) await this.writeRow([]);
+      await sheet.write("</sheetData></worksheet>");
+      await sheet.close();
+
+      const start = offset;
+      entries.forEach((entry) => push(centralDirectoryHeader(entry)));
+      push(endOfCentralDirectory(entries.length, offset - start, start));
+      output.end();
+    },
+  };
+};